@@ -1,14 +1,21 @@
 // background.js — Service Worker với Queue, TabCapture Fallback, và Alarms API
 
+// SheetJS 0.18.5 (vendored) for building .xlsx attachments (same library the popup uses)
+try {
+  importScripts('xlsx.full.min.js');
+} catch (e) {
+  console.error('[EXCEL] ❌ Could not load xlsx.full.min.js, Excel attachments are disabled:', e.message);
+}
+
 // Constants
 const DEFAULT_RETRY = 2;
 const FOCUS_SWITCH_DELAY = 700; // ms đợi sau khi focus tab
 const AFTER_CAPTURE_DELAY = 400; // ms đợi trước khi restore tab
 const DEFAULT_PAGE_LOAD_TIMEOUT = 3000;
+const EXCEL_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
 
 // Task queue per tabId to prevent race condition
 const tabQueues = new Map(); // tabId → Promise (queue tail)
-const CAPTURE_REGIONS = new Map(); // tabId → { region, dpr }
 
 // Global capture lock to prevent multiple tabs from capturing at the same time
 let captureQueue = Promise.resolve(); // Global queue for screenshot captures
@@ -27,13 +34,22 @@ async function safeStorageWrite(updateFn) {
       throw e;
     }
   });
-  storageWriteQueue = next;
+  storageWriteQueue = next.catch(() => {}); // A failed write must not block later writes
   return next;
 }
 
 // ---- Utility ----
 async function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
+// Create a repeating alarm only if it is missing: the worker re-runs its top level on every wake-up,
+// and re-creating the alarm there would restart its period each time (so it might never fire)
+async function ensureRepeatingAlarm(name, periodInMinutes) {
+  const existing = await chrome.alarms.get(name);
+  if (existing && existing.periodInMinutes === periodInMinutes) return;
+  await chrome.alarms.create(name, { periodInMinutes });
+  console.log(`[ALARM] ⏰ Created repeating alarm ${name} (every ${periodInMinutes} min)`);
+}
+
 // Safe focus with retry on "tab editing locked" error
 async function safeFocusTab(tabId, maxRetries = 3) {
   const targetTab = await chrome.tabs.get(tabId);
@@ -103,64 +119,96 @@ function enqueueTabJob(tabId, jobFn) {
   return next;
 }
 
-// ---- TabCapture API (không cần focus tab) ----
+// ---- Offscreen Tab Capture (không cần focus tab) ----
+// Service workers have no DOM, so the stream is opened in an offscreen document: the worker gets a
+// stream ID via tabCapture.getMediaStreamId, the document grabs one frame and answers by request id.
+// Chrome only hands out stream IDs for tabs the extension was invoked on (e.g. via the popup);
+// otherwise this throws and captureViewport() falls back to focusing the tab.
+const OFFSCREEN_URL = 'offscreen.html';
+const OFFSCREEN_CAPTURE_TIMEOUT = 10000;
+const OFFSCREEN_IDLE_CLOSE = 60000; // close the document after a minute without captures
+const pendingOffscreenCaptures = new Map(); // id -> { resolve, reject, timer }
+let offscreenCreating = null;
+let offscreenIdleTimer = null;
+
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)]
+  });
+  if (contexts.length > 0) return;
+  
+  // Concurrent callers share one createDocument() call (a second one would throw)
+  if (!offscreenCreating) {
+    offscreenCreating = chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ['USER_MEDIA'],
+      justification: 'Chụp ảnh tab đang chạy nền mà không cần chuyển focus'
+    }).finally(() => { offscreenCreating = null; });
+  }
+  await offscreenCreating;
+  console.log('[OFFSCREEN] 📄 Offscreen document created');
+}
+
+function scheduleOffscreenClose() {
+  clearTimeout(offscreenIdleTimer);
+  offscreenIdleTimer = setTimeout(() => {
+    if (pendingOffscreenCaptures.size > 0) return;
+    chrome.offscreen.closeDocument()
+      .then(() => console.log('[OFFSCREEN] 💤 Closed idle offscreen document'))
+      .catch(() => {}); // already closed
+  }, OFFSCREEN_IDLE_CLOSE);
+}
+
 async function tryTabCapture(tabId) {
+  const streamId = await chrome.tabCapture.getMediaStreamId({ targetTabId: tabId });
+  
+  // Ask for the exact viewport size in device pixels so crops line up with captureVisibleTab output
+  let viewport = {};
+  try {
+    viewport = await runInTab(tabId, () => ({
+      width: Math.round(window.innerWidth * (window.devicePixelRatio || 1)),
+      height: Math.round(window.innerHeight * (window.devicePixelRatio || 1))
+    })) || {};
+  } catch (e) {
+    console.warn(`[OFFSCREEN] ⚠️ Could not read viewport size: ${e.message}`);
+  }
+  
+  await ensureOffscreenDocument();
+  const id = `cap_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  
   return new Promise((resolve, reject) => {
-    try {
-      chrome.tabCapture.capture({
-        audio: false, 
-        video: true, 
-        videoConstraints: {
-          mandatory: { chromeMediaSource: 'tab' }
-        }
-      }, stream => {
-        if (chrome.runtime.lastError || !stream) {
-          reject(new Error('tabCapture not available: ' + (chrome.runtime.lastError?.message || 'no stream')));
-          return;
-        }
-        
-        // Convert stream to image
-        const video = document.createElement('video');
-        video.srcObject = stream;
-        video.play().catch(() => {});
-        
-        video.onloadedmetadata = () => {
-          setTimeout(async () => {
-            try {
-              const canvas = new OffscreenCanvas(video.videoWidth || 1280, video.videoHeight || 720);
-              const ctx = canvas.getContext('2d');
-              ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-              const blob = await canvas.convertToBlob({ type: 'image/png' });
-              
-              // Stop stream
-              stream.getTracks().forEach(t => t.stop());
-              
-              // Convert blob to dataURL
-              const reader = new FileReader();
-              reader.onloadend = () => resolve(reader.result);
-              reader.onerror = (e) => reject(e);
-              reader.readAsDataURL(blob);
-            } catch (e) {
-              stream.getTracks().forEach(t => t.stop());
-              reject(e);
-            }
-          }, 300);
-        };
-        
-        // Timeout fallback
-        setTimeout(() => {
-          if (!video.onloadedmetadata) {
-            try { stream.getTracks().forEach(t => t.stop()); } catch (e) {}
-            reject(new Error('tabCapture timeout'));
-          }
-        }, 3000);
+    const timer = setTimeout(() => {
+      pendingOffscreenCaptures.delete(id);
+      reject(new Error('Offscreen capture timeout'));
+    }, OFFSCREEN_CAPTURE_TIMEOUT);
+    pendingOffscreenCaptures.set(id, { resolve, reject, timer });
+    
+    chrome.runtime.sendMessage({ target: 'offscreen', type: 'capture-tab', id, streamId, ...viewport })
+      .catch(err => {
+        clearTimeout(timer);
+        pendingOffscreenCaptures.delete(id);
+        reject(err);
       });
-    } catch (e) {
-      reject(e);
-    }
-  });
+  }).finally(scheduleOffscreenClose);
 }
 
+// Answers from offscreen.js, matched to the waiting tryTabCapture() by id
+chrome.runtime.onMessage.addListener((msg) => {
+  if (msg.type !== 'capture-result') return false;
+  const pending = pendingOffscreenCaptures.get(msg.id);
+  if (!pending) return false;
+  
+  clearTimeout(pending.timer);
+  pendingOffscreenCaptures.delete(msg.id);
+  if (msg.error || !msg.dataUrl) {
+    pending.reject(new Error(`Offscreen capture failed: ${msg.error || 'no data'}`));
+  } else {
+    pending.resolve(msg.dataUrl);
+  }
+  return false;
+});
+
 // ---- Fallback: Focus tab and capture ----
 async function focusAndCapture(tabId) {
   try {
@@ -260,60 +308,340 @@ async function focusAndCapture(tabId) {
 }
 
 // ---- Capture with fallback strategy ----
-async function captureTab(tabId) {
-  console.log(`[CAPTURE] Starting capture for tab ${tabId}`);
-  
-  let imageDataUrl = null;
-  
-  // Try tabCapture first (no focus needed)
+// Raw viewport screenshot: offscreen tabCapture first (no focus needed), focus only as the last resort
+async function captureViewport(tabId) {
   try {
-    imageDataUrl = await tryTabCapture(tabId);
-    console.log(`[CAPTURE] ✅ Success via tabCapture (no focus)`);
+    const imageDataUrl = await tryTabCapture(tabId);
+    console.log(`[CAPTURE] ✅ Success via offscreen tabCapture (no focus)`);
+    return imageDataUrl;
   } catch (e) {
-    console.warn(`[CAPTURE] ⚠️ tabCapture failed: ${e.message}, trying focus fallback...`);
-    imageDataUrl = await focusAndCapture(tabId);
+    console.warn(`[CAPTURE] ⚠️ Offscreen tabCapture failed: ${e.message}, trying focus fallback...`);
+    const imageDataUrl = await focusAndCapture(tabId);
     console.log(`[CAPTURE] ✅ Success via focus fallback`);
+    return imageDataUrl;
+  }
+}
+
+// Returns [{ dataUrl, fileName, label? }]: one image per capture region, or the stitched page pieces
+async function captureTab(tabId, monitor = {}) {
+  console.log(`[CAPTURE] Starting capture for tab ${tabId} (mode: ${monitor.captureMode || 'viewport'})`);
+  
+  if (monitor.captureMode === 'fullPage') {
+    const pieces = await captureFullPage(tabId, monitor);
+    return pieces.map((dataUrl, i) => ({
+      dataUrl,
+      fileName: pieces.length > 1 ? `capture_${i + 1}.png` : 'capture.png'
+    }));
+  }
+  
+  const regions = getCaptureRegions(monitor);
+  if (regions.length === 0) {
+    console.log(`[CAPTURE] ℹ️ No region set, using full screenshot`);
+    return [{ dataUrl: await captureRedactedViewport(tabId, monitor), fileName: 'capture.png' }];
+  }
+  
+  // Pixel regions were drawn against the current scroll position, so crop them from the first
+  // screenshot before any anchor scrolls the page; anchors that scrolled get a fresh screenshot.
+  const order = regions.map((entry, i) => i).sort((a, b) => Boolean(regions[a].anchor) - Boolean(regions[b].anchor));
+  const images = new Array(regions.length);
+  const missingAnchors = {};
+  let screenshot = null;
+  
+  for (const i of order) {
+    const entry = regions[i];
+    const anchored = await resolveRegionAnchor(tabId, entry);
+    if (entry.anchor) missingAnchors[entry.id] = !anchored;
+    if (!screenshot || anchored?.scrolled) {
+      screenshot = await captureRedactedViewport(tabId, monitor);
+    }
+    
+    // Region is stored on the monitor (loaded fresh from storage at job start)
+    const region = anchored?.region || entry.region;
+    const dpr = anchored?.dpr || entry.dpr || 1;
+    console.log(`[CAPTURE] 🔲 Cropping "${entry.name}" to region: ${region.width}x${region.height} (dpr: ${dpr})`);
+    images[i] = {
+      dataUrl: await cropImage(screenshot, region, dpr),
+      fileName: regions.length > 1 ? `${i + 1}_${toSafeFileName(entry.name)}.png` : 'capture.png',
+      label: entry.name
+    };
+  }
+  
+  // Note: Upscale disabled - causes blurring. Original resolution gives sharper results.
+  
+  await saveAnchorStatus(monitor, missingAnchors);
+  return images;
+}
+
+// ---- Capture Regions ----
+// captureRegions = [{ id, name, region: { x, y, width, height }, dpr, anchor?: { selector, text }, anchorMissing? }]
+// Regions are in CSS pixels of the viewport; `anchor` re-measures an element on every run and
+// `region` is kept as the fallback when the element can't be found.
+function generateRegionId() {
+  return `reg_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Monitors saved before named regions carry a single captureRegion (+ captureAnchor)
+function getCaptureRegions(monitor) {
+  if (Array.isArray(monitor.captureRegions)) return monitor.captureRegions;
+  if (monitor.captureRegion?.width > 0 && monitor.captureRegion?.height > 0) {
+    return [{
+      id: 'region_1',
+      name: 'Vùng chụp',
+      region: monitor.captureRegion,
+      dpr: monitor.dpr || 1,
+      anchor: monitor.captureAnchor || null,
+      anchorMissing: monitor.anchorMissing || false
+    }];
   }
+  return [];
+}
+
+// Mutates a monitor inside updateMonitor(): moves legacy fields into captureRegions
+function migrateCaptureRegions(m) {
+  m.captureRegions = getCaptureRegions(m);
+  delete m.captureRegion;
+  delete m.captureAnchor;
+  delete m.anchorMissing;
+  delete m.dpr;
+  return m.captureRegions;
+}
+
+function toSafeFileName(name) {
+  return String(name || 'region').replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, '_').substring(0, 40) || 'region';
+}
+
+// Returns { region, dpr, scrolled } for the entry's anchor element, or null (no anchor / not found)
+async function resolveRegionAnchor(tabId, entry) {
+  if (!entry.anchor?.selector) return null;
   
-  // Load region from storage (critical for service worker persistence)
-  let region = null;
-  let dpr = 1;
+  let anchored = null;
+  try {
+    anchored = await runInTab(tabId, resolveCaptureAnchor, [entry.anchor.selector]);
+  } catch (e) {
+    console.warn(`[ANCHOR] ⚠️ Could not resolve anchor: ${e.message}`);
+  }
   
-  // Check memory first (fast)
-  if (CAPTURE_REGIONS.has(tabId)) {
-    const cached = CAPTURE_REGIONS.get(tabId);
-    region = cached.region;
-    dpr = cached.dpr || 1;
-    console.log(`[CAPTURE] 📍 Using cached region from memory`);
+  if (anchored) {
+    console.log(`[ANCHOR] 🎯 "${entry.name}" resolved to ${anchored.region.width}x${anchored.region.height} at (${anchored.region.x}, ${anchored.region.y})`);
   } else {
-    // Load from storage (service worker may have restarted)
-    console.log(`[CAPTURE] 📍 Loading region from storage (service worker may have restarted)...`);
+    console.warn(`[ANCHOR] ⚠️ Anchor "${entry.anchor.selector}" not found, using stored pixel region`);
+  }
+  return anchored;
+}
+
+// `anchorMissing` on each region drives the warning in the popup
+async function saveAnchorStatus(monitor, missingAnchors) {
+  const changed = getCaptureRegions(monitor).some(entry => entry.id in missingAnchors && Boolean(entry.anchorMissing) !== missingAnchors[entry.id]);
+  if (!monitor.id || !changed) return;
+  await updateMonitor(monitor.id, m => {
+    for (const entry of migrateCaptureRegions(m)) {
+      if (entry.id in missingAnchors) entry.anchorMissing = missingAnchors[entry.id];
+    }
+  }).catch(() => {});
+}
+
+// ---- Redaction Masks ----
+// redactions = [{ id, region, dpr, scroll?: { x, y }, position?, anchor?, style: 'blur' | 'pixelate' | 'fill' }]
+// Applied to every raw screenshot, before cropping, so masked pixels never leave the browser.
+// `region` is in viewport pixels at the page scroll offset `scroll` it was drawn at. `position` says
+// what was under it (see classifyRedactionRect): 'scrolling' content is moved by however far the page
+// has scrolled since (anchored regions, full-page slices), 'pinned' UI such as the Google Ads header
+// stays put, and 'mixed' (or unknown) rectangles are masked at both places.
+const REDACTION_STYLES = ['blur', 'pixelate', 'fill'];
+const REDACTION_PIXEL_SIZE = 12; // px (device) per block for blur/pixelate
+
+// Stored rectangle moved to the current scroll offset, or null when the offset can't be resolved
+function shiftRedactionRect(redaction, currentScroll) {
+  if (!currentScroll) return null;
+  // Redactions saved before scroll offsets were recorded are only trusted on an unscrolled page
+  const drawnAt = redaction.scroll || (currentScroll.x === 0 && currentScroll.y === 0 ? currentScroll : null);
+  if (!drawnAt) return null;
+  return {
+    ...redaction.region,
+    x: redaction.region.x + drawnAt.x - currentScroll.x,
+    y: redaction.region.y + drawnAt.y - currentScroll.y
+  };
+}
+
+// Rectangles to mask for a drawn redaction, or null when a needed scroll offset can't be resolved.
+// Redactions saved before `position` was recorded are treated as scrolling content.
+function placeRedactionRects(redaction, currentScroll) {
+  const position = redaction.position || 'scrolling';
+  if (position === 'pinned') return [redaction.region];
+  const shifted = shiftRedactionRect(redaction, currentScroll);
+  if (!shifted) return null;
+  return position === 'mixed' ? [redaction.region, shifted] : [shifted];
+}
+
+async function captureRedactedViewport(tabId, monitor) {
+  const redactions = monitor.redactions || [];
+  if (redactions.length === 0) return captureViewport(tabId);
+  
+  // Measure anchored elements right before the screenshot (without scrolling the page)
+  let measured = [];
+  const selectors = redactions.map(r => r.anchor?.selector || null);
+  if (selectors.some(Boolean)) {
     try {
-      const { tabSettings } = await chrome.storage.local.get('tabSettings');
-      if (tabSettings && tabSettings[tabId] && tabSettings[tabId].captureRegion) {
-        region = tabSettings[tabId].captureRegion;
-        dpr = tabSettings[tabId].dpr || 1;
-        
-        // Restore to memory cache
-        CAPTURE_REGIONS.set(tabId, { region, dpr });
-        console.log(`[CAPTURE] ✅ Loaded region from storage: ${region.width}x${region.height}`);
-      }
-    } catch (err) {
-      console.warn(`[CAPTURE] ⚠️ Failed to load region from storage:`, err);
+      measured = await runInTab(tabId, measureRedactionAnchors, [selectors]) || [];
+    } catch (e) {
+      console.warn(`[REDACT] ⚠️ Could not measure redaction anchors: ${e.message}`);
     }
   }
   
-  // Crop if region is set
-  if (region && region.width > 0 && region.height > 0) {
-    console.log(`[CAPTURE] 🔲 Cropping to region: ${region.width}x${region.height} (dpr: ${dpr})`);
-    imageDataUrl = await cropImage(imageDataUrl, region, dpr);
-  } else {
-    console.log(`[CAPTURE] ℹ️ No region set, using full screenshot`);
+  // Drawn rectangles (and anchors that weren't found) need the page's current scroll offset
+  let currentScroll = null;
+  if (redactions.some((redaction, i) => !measured[i] && redaction.position !== 'pinned')) {
+    try {
+      currentScroll = await runInTab(tabId, measurePageScroll);
+    } catch (e) {
+      console.warn(`[REDACT] ⚠️ Could not measure scroll offset: ${e.message}`);
+    }
   }
   
-  // Note: Upscale disabled - causes blurring. Original resolution gives sharper results.
+  const masks = [];
+  redactions.forEach((redaction, i) => {
+    const style = REDACTION_STYLES.includes(redaction.style) ? redaction.style : 'blur';
+    const found = measured[i];
+    if (found) {
+      found.rects.forEach(rect => masks.push({ rect, dpr: found.dpr, style }));
+      return;
+    }
+    // Drawn rectangle, or anchor not found: mask the stored rectangle (over-redacting is the safe side)
+    const rects = placeRedactionRects(redaction, currentScroll);
+    if (!rects) {
+      // Masking the wrong area would send the sensitive content in the clear
+      throw new Error('Không xác định được vị trí cuộn trang cho vùng che, dừng gửi để tránh lộ thông tin (hãy vẽ lại vùng che)');
+    }
+    rects.forEach(rect => masks.push({ rect, dpr: redaction.dpr || 1, style }));
+  });
   
-  return imageDataUrl;
+  const imageDataUrl = await captureViewport(tabId);
+  if (masks.length === 0) return imageDataUrl;
+  console.log(`[REDACT] 🙈 Applying ${masks.length} mask(s)`);
+  return applyRedactions(imageDataUrl, masks);
+}
+
+async function applyRedactions(imageDataUrl, masks) {
+  const bitmap = await createImageBitmap(await (await fetch(imageDataUrl)).blob());
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  
+  for (const { rect, dpr, style } of masks) {
+    // Clip to the image: shifted rectangles are often partly (or fully) outside the viewport
+    const x = Math.max(0, Math.floor(rect.x * dpr));
+    const y = Math.max(0, Math.floor(rect.y * dpr));
+    const w = Math.min(canvas.width, Math.ceil((rect.x + rect.width) * dpr)) - x;
+    const h = Math.min(canvas.height, Math.ceil((rect.y + rect.height) * dpr)) - y;
+    if (w <= 0 || h <= 0) continue;
+    
+    if (style === 'fill') {
+      ctx.fillStyle = '#000';
+      ctx.fillRect(x, y, w, h);
+      continue;
+    }
+    
+    // Downscale then upscale: pixelate keeps hard blocks, blur smooths them (no readable detail survives either way)
+    const small = new OffscreenCanvas(Math.max(1, Math.round(w / REDACTION_PIXEL_SIZE)), Math.max(1, Math.round(h / REDACTION_PIXEL_SIZE)));
+    const smallCtx = small.getContext('2d');
+    smallCtx.imageSmoothingEnabled = true;
+    smallCtx.drawImage(canvas, x, y, w, h, 0, 0, small.width, small.height);
+    
+    ctx.save();
+    ctx.imageSmoothingEnabled = style === 'blur';
+    if (style === 'blur') ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(small, 0, 0, small.width, small.height, x, y, w, h);
+    ctx.restore();
+  }
+  
+  return blobToDataUrl(await canvas.convertToBlob({ type: 'image/png' }));
+}
+
+// ---- Full-page capture (scroll + stitch) ----
+// Google Ads scrolls inside its own container, so the page is measured and scrolled in-page
+// and each viewport slice is cropped to that container before stitching.
+const FULL_PAGE_MAX_SLICES = 40;
+const FULL_PAGE_SLICE_DELAY = 600;        // captureVisibleTab allows ~2 calls per second
+const FULL_PAGE_MAX_HEIGHT = 16000;       // Hard cap per image (canvas limits / memory)
+const FULL_PAGE_DEFAULT_SPLIT_HEIGHT = 4000;
+const TELEGRAM_DOCUMENT_LIMIT = 50 * 1024 * 1024;
+
+async function runInTab(tabId, func, args = [], world = 'ISOLATED') {
+  const [{ result } = {}] = await chrome.scripting.executeScript({ target: { tabId }, func, args, world });
+  return result;
+}
+
+async function captureFullPage(tabId, monitor) {
+  const metrics = await runInTab(tabId, prepareFullPageCapture);
+  if (!metrics) throw new Error('Không đo được kích thước trang để chụp toàn trang');
+  
+  const { scrollHeight, clientHeight, rect, dpr } = metrics;
+  const offsets = [];
+  for (let top = 0; top < scrollHeight - clientHeight && offsets.length < FULL_PAGE_MAX_SLICES - 1; top += clientHeight) {
+    offsets.push(top);
+  }
+  offsets.push(Math.max(0, scrollHeight - clientHeight));
+  console.log(`[FULLPAGE] 📜 ${metrics.container}: ${scrollHeight}px tall, ${offsets.length} slice(s) (dpr: ${dpr})`);
+  
+  const slices = [];
+  try {
+    for (let i = 0; i < offsets.length; i++) {
+      // Sticky headers/toolbars stay in the first slice only, otherwise they repeat in every slice
+      const scrollTop = await runInTab(tabId, scrollFullPageContainer, [offsets[i], i > 0]);
+      if (i > 0) await sleep(FULL_PAGE_SLICE_DELAY);
+      // Redactions follow the scroll: anchors are re-measured, drawn rectangles shifted by the offset
+      const dataUrl = await captureRedactedViewport(tabId, monitor);
+      const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+      slices.push({ top: scrollTop, bitmap });
+    }
+  } finally {
+    await runInTab(tabId, finishFullPageCapture).catch(() => {});
+  }
+  
+  const totalHeight = Math.min(scrollHeight, slices[slices.length - 1].top + clientHeight);
+  const splitHeight = monitor.splitFullPage
+    ? Math.min(Number(monitor.fullPageSplitHeight) || FULL_PAGE_DEFAULT_SPLIT_HEIGHT, FULL_PAGE_MAX_HEIGHT)
+    : FULL_PAGE_MAX_HEIGHT;
+  
+  let images = await stitchSlices(slices, rect, dpr, totalHeight, splitHeight);
+  // A single huge PNG can exceed Telegram's document limit; halve the pieces until everything fits
+  let pieceHeight = splitHeight;
+  while (images.some(blob => blob.size > TELEGRAM_DOCUMENT_LIMIT) && pieceHeight > clientHeight) {
+    pieceHeight = Math.ceil(pieceHeight / 2);
+    console.warn(`[FULLPAGE] ⚠️ Image over ${TELEGRAM_DOCUMENT_LIMIT} bytes, splitting every ${pieceHeight}px`);
+    images = await stitchSlices(slices, rect, dpr, totalHeight, pieceHeight);
+  }
+  slices.forEach(slice => slice.bitmap.close());
+  
+  console.log(`[FULLPAGE] ✅ Stitched ${slices.length} slice(s) into ${images.length} image(s)`);
+  return Promise.all(images.map(blobToDataUrl));
+}
+
+// Draw every slice overlapping each piece [start, start + pieceHeight) of the page (CSS px)
+async function stitchSlices(slices, rect, dpr, totalHeight, pieceHeight) {
+  const width = Math.round(rect.width * dpr);
+  const blobs = [];
+  
+  for (let start = 0; start < totalHeight; start += pieceHeight) {
+    const end = Math.min(start + pieceHeight, totalHeight);
+    const canvas = new OffscreenCanvas(width, Math.round((end - start) * dpr));
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+    
+    for (const { top, bitmap } of slices) {
+      const sliceEnd = top + rect.height;
+      if (sliceEnd <= start || top >= end) continue;
+      // Later slices overwrite the overlap, which is fine: content at a given offset is identical
+      ctx.drawImage(
+        bitmap,
+        rect.x * dpr, rect.y * dpr, width, rect.height * dpr,
+        0, (top - start) * dpr, width, rect.height * dpr
+      );
+    }
+    blobs.push(await canvas.convertToBlob({ type: 'image/png' }));
+  }
+  return blobs;
 }
 
 // ---- Crop Image using OffscreenCanvas in Service Worker ----
@@ -456,74 +784,1446 @@ function waitForTabComplete(tabId, timeout = 8000) {
     });
   });
 }
-async function sendToTelegram(botToken, chatId, imageDataUrl, excelBlob = null, customCaption = null, retries = 3) {
+// ---- Build Excel workbook from scraped rows (array of arrays) ----
+function buildExcelBlob(rows, sheetName = 'Report') {
+  if (typeof XLSX === 'undefined') {
+    console.warn('[EXCEL] ⚠️ SheetJS not available, skipping Excel file');
+    return null;
+  }
+  if (!Array.isArray(rows) || rows.length === 0) {
+    console.log('[EXCEL] ℹ️ No rows to export');
+    return null;
+  }
+  
+  const worksheet = XLSX.utils.aoa_to_sheet(rows);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
+  
+  const buffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+  console.log(`[EXCEL] ✅ Built workbook: ${rows.length} rows x ${rows[0]?.length || 0} columns`);
+  return new Blob([buffer], { type: EXCEL_MIME });
+}
+
+// ---- Report Download (Google Ads "Tải xuống" menu -> chrome.downloads) ----
+// exportMode: 'sheets' (Google Sheets, old behaviour) | 'csv' | 'xlsx' (file is attached to the message)
+const REPORT_EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: '.csv', mime: 'text/csv' },
+  xlsx: { label: '.xlsx', extension: '.xlsx', mime: EXCEL_MIME }
+};
+const REPORT_DOWNLOAD_TIMEOUT = 60000;
+const REPORT_DOWNLOAD_POLL = 500;
+
+// Origin of a download URL; blob: URLs carry the origin of the page that created them
+function getDownloadOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Newest download started after `since` from the report page's origin (url or referrer) that looks
+// like the report; resolves once it has finished. Other downloads in the same window are ignored.
+async function waitForReportDownload(format, since, pageOrigin, timeout = REPORT_DOWNLOAD_TIMEOUT) {
+  const { extension, mime } = REPORT_EXPORT_FORMATS[format];
+  const fromPage = item => [item.finalUrl, item.url, item.referrer].some(url => url && getDownloadOrigin(url) === pageOrigin);
+  const matches = item => Date.parse(item.startTime) >= since && fromPage(item) &&
+    ((item.filename || '').toLowerCase().endsWith(extension) || item.mime === mime);
+  const t0 = Date.now();
+  
+  while (Date.now() - t0 < timeout) {
+    const items = await chrome.downloads.search({ startedAfter: new Date(since).toISOString(), orderBy: ['-startTime'] });
+    const item = items.find(matches);
+    if (item?.state === 'complete') return item;
+    if (item?.state === 'interrupted') throw new Error(`Tải file bị gián đoạn: ${item.error}`);
+    await sleep(REPORT_DOWNLOAD_POLL);
+  }
+  throw new Error(`Không thấy file ${extension} được tải xuống sau ${timeout}ms`);
+}
+
+// The service worker can't read the file on disk, so the download URL is fetched again:
+// first inside the tab (page cookies, blob: URLs kept alive by holdBlobUrls), then from the worker
+// (https URLs on ads.google.com, covered by the host permission)
+async function readReportDownload(tabId, item) {
+  const url = item.finalUrl || item.url;
+  const dataUrl = await runInTab(tabId, fetchAsDataUrl, [url]).catch(() => null);
+  if (!dataUrl && url.startsWith('blob:')) {
+    throw new Error('Không đọc được file tải xuống (blob URL đã bị trang thu hồi)');
+  }
+  const response = await fetch(dataUrl || url, dataUrl ? {} : { credentials: 'include' });
+  if (!response.ok) throw new Error(`Không đọc được file tải xuống (HTTP ${response.status})`);
+  const blob = await response.blob();
+  if (blob.size > TELEGRAM_DOCUMENT_LIMIT) {
+    throw new Error(`File ${(blob.size / 1024 / 1024).toFixed(1)}MB vượt giới hạn gửi của Telegram`);
+  }
+  return blob;
+}
+
+// The attached copy is all we need: delete the file and its entry so downloads don't pile up
+async function discardReportDownload(item) {
+  try {
+    await chrome.downloads.removeFile(item.id);
+  } catch (e) {
+    console.warn(`[DOWNLOAD] ⚠️ Could not delete ${item.filename}:`, e.message);
+  }
+  await chrome.downloads.erase({ id: item.id }).catch(() => {});
+  console.log(`[DOWNLOAD] 🧹 Removed download ${item.id}`);
+}
+
+// ---- Google Sheet Export (URL of the created spreadsheet) ----
+// Google Ads either opens the new spreadsheet in a tab or shows a link in its confirmation
+const SHEET_URL_PATTERN = /^https:\/\/docs\.google\.com\/spreadsheets\/d\/[\w-]+/;
+const SHEET_DETECT_TIMEOUT = 30000;
+
+// Resolves with { url, spawnedTabId } or null; knownTabIds = tabs that existed before the export.
+// Only a new tab opened by the job's tab counts, so a spreadsheet the user opens meanwhile is left alone.
+async function waitForCreatedSheet(tabId, knownTabIds, timeout = SHEET_DETECT_TIMEOUT) {
+  const t0 = Date.now();
+  while (Date.now() - t0 < timeout) {
+    const tabs = await chrome.tabs.query({});
+    const spawned = tabs.find(t => t.openerTabId === tabId && !knownTabIds.has(t.id) && SHEET_URL_PATTERN.test(t.url || t.pendingUrl || ''));
+    if (spawned) return { url: spawned.url || spawned.pendingUrl, spawnedTabId: spawned.id };
+    
+    const link = await runInTab(tabId, findSpreadsheetLink).catch(() => null);
+    if (link) return { url: link, spawnedTabId: null };
+    await sleep(1000);
+  }
+  return null;
+}
+
+// Closes the tab Google Ads opened (so they don't pile up over a day) and gives focus back
+async function closeSpawnedSheetTab(spawnedTabId, tabId) {
+  if (!spawnedTabId) return;
+  try {
+    await chrome.tabs.remove(spawnedTabId);
+    await chrome.tabs.update(tabId, { active: true });
+    console.log(`[SHEET] 🧹 Closed spreadsheet tab ${spawnedTabId}`);
+  } catch (e) {
+    console.warn('[SHEET] ⚠️ Could not close spreadsheet tab:', e.message);
+  }
+}
+
+// ---- Telegram Send Scheduler (rate limits + 429 retry_after) ----
+// All Telegram API writes go through one serialized queue per bot, so tabs never race each other.
+// Telegram limits: ~30 msg/s per bot, ~1 msg/s per private chat, 20 msg/min per group.
+const TELEGRAM_BOT_MIN_INTERVAL = 40;     // ms between any two requests of a bot (≤ 25/s)
+const TELEGRAM_CHAT_MIN_INTERVAL = 1100;  // ms between requests to one private chat
+const TELEGRAM_GROUP_MIN_INTERVAL = 3100; // ms between requests to one group/channel (negative chat ID)
+const TELEGRAM_MAX_FLOOD_WAITS = 5;       // 429 waits per request before giving up
+
+const telegramBotQueues = new Map();     // botToken → Promise (queue tail)
+const telegramLastSent = new Map();      // botToken or `${botToken}|${chatId}` → timestamp
+const telegramBlockedUntil = new Map();  // botToken → timestamp from retry_after
+
+async function waitForTelegramSlot(botToken, chatId) {
+  const chatKey = `${botToken}|${chatId}`;
+  const chatInterval = String(chatId).startsWith('-') ? TELEGRAM_GROUP_MIN_INTERVAL : TELEGRAM_CHAT_MIN_INTERVAL;
+  const readyAt = Math.max(
+    telegramBlockedUntil.get(botToken) || 0,
+    (telegramLastSent.get(botToken) || 0) + TELEGRAM_BOT_MIN_INTERVAL,
+    (telegramLastSent.get(chatKey) || 0) + chatInterval
+  );
+  const waitMs = readyAt - Date.now();
+  if (waitMs > 0) {
+    if (waitMs > 1000) console.log(`[TELEGRAM] ⏳ Rate limit: waiting ${waitMs}ms before sending to ${chatId}`);
+    await sleep(waitMs);
+  }
+  telegramLastSent.set(botToken, Date.now());
+  telegramLastSent.set(chatKey, Date.now());
+}
+
+// `buildInit()` is called per try so multipart bodies are rebuilt after a 429
+function callTelegramApi(botToken, method, chatId, buildInit) {
+  const prev = telegramBotQueues.get(botToken) || Promise.resolve();
+  const next = prev.then(async () => {
+    for (let floodWaits = 0; ; floodWaits++) {
+      await waitForTelegramSlot(botToken, chatId);
+      
+      const resp = await fetch(`https://api.telegram.org/bot${botToken}/${method}`, { method: 'POST', ...buildInit() });
+      const data = await resp.json().catch(() => ({}));
+      
+      if (resp.status === 429 && floodWaits < TELEGRAM_MAX_FLOOD_WAITS) {
+        // Wait exactly as long as Telegram asks; this does not count as a failed attempt
+        const retryAfter = data.parameters?.retry_after ?? 1;
+        telegramBlockedUntil.set(botToken, Date.now() + retryAfter * 1000);
+        console.warn(`[TELEGRAM] 🚦 429 on ${method} to ${chatId}, retry_after=${retryAfter}s (${floodWaits + 1}/${TELEGRAM_MAX_FLOOD_WAITS})`);
+        continue;
+      }
+      
+      if (!resp.ok || !data.ok) {
+        throw new Error(`Telegram ${method} Error: ${data.description || `HTTP ${resp.status}`}`);
+      }
+      return data.result;
+    }
+  });
+  telegramBotQueues.set(botToken, next.catch(() => {})); // A failed send must not block the queue
+  return next;
+}
+
+// Telegram albums hold at most 10 items
+const TELEGRAM_MEDIA_GROUP_LIMIT = 10;
+
+// images = [{ blob, fileName, label? }]; several images go out as document albums (or one by one
+// when asAlbum is false). The main caption sits on the last image, the others carry their label.
+// buttons = [{ text, url }] become an inline keyboard under the captioned image; albums can't carry
+// one, so they get a short follow-up message instead.
+// progress = { imagesSent, attachmentsSent, buttonsSent } is updated in place as parts go out, so the
+// outbox can resume a partly delivered report instead of sending it again from the start.
+async function sendToTelegram(botToken, chatId, images, attachments = [], customCaption = null, retries = 3, parseMode = null, asAlbum = true, buttons = [], progress = {}) {
+  // Track what was already delivered so a retry does not send duplicates
+  progress.imagesSent ??= 0;
+  progress.attachmentsSent ??= 0;
+  progress.buttonsSent ??= buttons.length === 0;
+  const replyMarkup = JSON.stringify({ inline_keyboard: [buttons.map(({ text, url }) => ({ text, url }))] });
+  
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      const photoForm = new FormData();
-      photoForm.append('chat_id', chatId);
-      const imgBlob = await (await fetch(imageDataUrl)).blob();
-      
-      // Use sendDocument instead of sendPhoto to preserve original quality
-      photoForm.append('document', imgBlob, 'capture.png');
-      
       // Use custom caption if provided, otherwise use default timestamp
       const caption = customCaption || `Tự động gửi lúc ${new Date().toLocaleString('vi-VN')}`;
-      photoForm.append('caption', caption);
-
-      // Send as document to avoid Telegram compression
-      const photoResp = await fetch(`https://api.telegram.org/bot${botToken}/sendDocument`, { method: 'POST', body: photoForm });
-
-      if (!photoResp.ok) {
-        const error = await photoResp.json();
-        throw new Error(`Telegram Document Error: ${error.description || 'Unknown'}`);
+      const captionFor = (index) => {
+        if (index === images.length - 1) return caption;
+        return images[index].label ? escapeCaptionValue(images[index].label, parseMode) : '';
+      };
+      
+      while (progress.imagesSent < images.length) {
+        const groupSize = asAlbum ? TELEGRAM_MEDIA_GROUP_LIMIT : 1;
+        const group = images.slice(progress.imagesSent, progress.imagesSent + groupSize);
+        
+        if (group.length === 1) {
+          // Send as document (not sendPhoto) to avoid Telegram compression; a lone image can't form an album
+          await callTelegramApi(botToken, 'sendDocument', chatId, () => {
+            const photoForm = new FormData();
+            photoForm.append('chat_id', chatId);
+            photoForm.append('document', group[0].blob, group[0].fileName);
+            const itemCaption = captionFor(progress.imagesSent);
+            if (itemCaption) {
+              photoForm.append('caption', itemCaption);
+              if (parseMode) photoForm.append('parse_mode', parseMode);
+            }
+            if (!progress.buttonsSent && progress.imagesSent === images.length - 1) {
+              photoForm.append('reply_markup', replyMarkup);
+            }
+            return { body: photoForm };
+          });
+          if (progress.imagesSent === images.length - 1) progress.buttonsSent = true;
+        } else {
+          await callTelegramApi(botToken, 'sendMediaGroup', chatId, () => {
+            const form = new FormData();
+            form.append('chat_id', chatId);
+            const media = group.map((image, i) => {
+              const item = { type: 'document', media: `attach://file${i}` };
+              const itemCaption = captionFor(progress.imagesSent + i);
+              if (itemCaption) {
+                item.caption = itemCaption;
+                if (parseMode) item.parse_mode = parseMode;
+              }
+              form.append(`file${i}`, image.blob, image.fileName);
+              return item;
+            });
+            form.append('media', JSON.stringify(media));
+            return { body: form };
+          });
+        }
+        
+        progress.imagesSent += group.length;
+        console.log(`[TELEGRAM] ✅ Sent ${progress.imagesSent}/${images.length} screenshot(s) as document (full quality)`);
       }
-
-      console.log(`[TELEGRAM] ✅ Sent screenshot as document (full quality)`);
+      
+      if (!progress.buttonsSent) {
+        await callTelegramApi(botToken, 'sendMessage', chatId, () => ({
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ chat_id: chatId, text: buttons.map(b => `🔗 ${b.text}`).join('\n'), reply_markup: JSON.parse(replyMarkup) })
+        }));
+        progress.buttonsSent = true;
+        console.log('[TELEGRAM] ✅ Sent link buttons');
+      }
+      
+      // Send attachments (e.g. scraped Excel) as separate documents right after the screenshot
+      while (progress.attachmentsSent < attachments.length) {
+        const { blob, fileName } = attachments[progress.attachmentsSent];
+        await callTelegramApi(botToken, 'sendDocument', chatId, () => {
+          const fileForm = new FormData();
+          fileForm.append('chat_id', chatId);
+          fileForm.append('document', blob, fileName);
+          return { body: fileForm };
+        });
+        
+        progress.attachmentsSent++;
+        console.log(`[TELEGRAM] ✅ Sent attachment: ${fileName}`);
+      }
+      
       return; // Success
       
     } catch (err) {
       console.warn(`[TELEGRAM] Attempt ${attempt}/${retries} failed:`, err.message);
+      if (parseMode && err.message.includes("can't parse entities")) {
+        // Broken markup in the template: resend as plain text rather than failing forever
+        console.warn(`[TELEGRAM] ⚠️ ${parseMode} caption rejected, falling back to plain text`);
+        customCaption = stripCaptionMarkup(customCaption || '', parseMode);
+        parseMode = null;
+      }
       if (attempt === retries) {
         throw new Error(`Gửi Telegram thất bại sau ${retries} lần thử: ${err.message}`);
       }
-      await sleep(2000 * attempt); // Exponential backoff
+      await sleep(2000 * attempt); // Backoff for network/server errors (429 is handled by the scheduler)
     }
   }
 }
 
-// ---- Main Job Logic with Retry ----
-async function runJobForTab(tabId) {
-  console.log(`[JOB] ====== Starting job for tab ${tabId} ======`);
-  
-  const store = await chrome.storage.local.get(['globalSettings', 'tabSettings']);
-  const global = store.globalSettings || {};
-  const tabConf = store.tabSettings?.[String(tabId)] || {};
-  const { botToken } = global;
-  const { chatId, pageLoadTimeout = DEFAULT_PAGE_LOAD_TIMEOUT } = tabConf;
-  
-  if (!botToken || !chatId) {
-    console.warn(`[JOB] ⚠️ Missing credentials for tab ${tabId}`);
-    return;
+// ---- Caption Templates ----
+// Placeholders: {title} {url} {date} {time} {rangeStart} {rangeEnd} {account} {monitor} {fileName} {sheetUrl}
+// and scraped KPIs as {kpi:Column name}. The template itself is written in the chosen parse mode
+// (e.g. <b>…</b> for HTML); only placeholder values are escaped.
+const TELEGRAM_CAPTION_LIMIT = 1024;
+const CAPTION_PARSE_MODES = ['HTML', 'MarkdownV2'];
+
+function escapeCaptionValue(value, parseMode) {
+  const text = String(value ?? '');
+  if (parseMode === 'HTML') {
+    // Quotes too, so values stay intact inside attributes such as <a href="{url}">
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+  if (parseMode === 'MarkdownV2') {
+    return text.replace(/[_*\[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+  }
+  return text;
+}
+
+// Remove markup so non-Telegram destinations get readable text
+function stripCaptionMarkup(text, parseMode) {
+  if (parseMode === 'HTML') {
+    return text.replace(/<[^>]+>/g, '')
+      .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+  }
+  if (parseMode === 'MarkdownV2') {
+    const escaped = []; // keep escaped characters (\* → *) while removing real markers
+    return text.replace(/\\(.)/g, (match, ch) => `\u0000${escaped.push(ch) - 1}\u0000`)
+      .replace(/[*_~`]|\|\|/g, '')
+      .replace(/\u0000(\d+)\u0000/g, (match, i) => escaped[i]);
+  }
+  return text;
+}
+
+// KPI values come from the totals row ("Tổng"/"Total") of the scraped table, else its first data row
+function extractKpiValues(rows) {
+  if (!Array.isArray(rows) || rows.length < 2) return {};
+  const headers = rows[0];
+  const totalRow = rows.slice(1).find(row => /^(tổng|total)/i.test(String(row[0] || '').trim())) || rows[1];
+  const kpis = {};
+  headers.forEach((header, i) => {
+    if (header) kpis[header.trim().toLowerCase()] = totalRow[i] ?? '';
+  });
+  return kpis;
+}
+
+// Unknown placeholders (typo, KPI column not in the table) become a dash instead of leaking "{…}" into the chat
+const MISSING_PLACEHOLDER_VALUE = '—';
+
+function renderCaptionTemplate(template, vars, kpis, parseMode) {
+  return template.replace(/\{(\w+)(?::([^}]+))?\}/g, (match, key, arg) => {
+    const value = key === 'kpi' ? kpis[(arg || '').trim().toLowerCase()] : (key in vars ? vars[key] : undefined);
+    if (value === undefined) {
+      console.warn(`[CAPTION] ⚠️ Unknown placeholder ${match}, replaced with "${MISSING_PLACEHOLDER_VALUE}"`);
+      return MISSING_PLACEHOLDER_VALUE;
+    }
+    return escapeCaptionValue(value, parseMode);
+  });
+}
+
+// Returns { caption, plainCaption, parseMode } for a job run
+function buildCaption(monitor, vars, kpis) {
+  const template = (monitor.captionTemplate || '').trim();
+  if (!template) {
+    // No template: legacy caption (file name or timestamp)
+    const caption = vars.fileName || `Tự động gửi lúc ${new Date().toLocaleString('vi-VN')}`;
+    return { caption, plainCaption: caption, parseMode: null };
   }
   
-  console.log(`[JOB] Config - botToken: ✓, chatId: ${chatId}, timeout: ${pageLoadTimeout}ms`);
+  const parseMode = CAPTION_PARSE_MODES.includes(monitor.parseMode) ? monitor.parseMode : null;
+  let caption = renderCaptionTemplate(template, vars, kpis, parseMode);
+  let plainCaption = stripCaptionMarkup(caption, parseMode);
   
-  // Store original active tab to restore later
-  let originalTab = null;
+  if (caption.length > TELEGRAM_CAPTION_LIMIT) {
+    // Cutting formatted text could break entities, so fall back to plain text
+    console.warn(`[CAPTION] ⚠️ Caption is ${caption.length} chars, truncating as plain text`);
+    plainCaption = plainCaption.substring(0, TELEGRAM_CAPTION_LIMIT - 1) + '…';
+    return { caption: plainCaption, plainCaption, parseMode: null };
+  }
+  return { caption, plainCaption, parseMode };
+}
+
+function formatDisplayDate(isoDate) {
+  if (!isoDate) return '';
+  const [year, month, day] = isoDate.split('-');
+  return `${day}/${month}/${year}`;
+}
+
+// Account label: configured name, else the Google Ads customer parameter from the URL
+function getAccountLabel(monitor, tabUrl) {
+  if (monitor.accountLabel) return monitor.accountLabel;
   try {
-    const tab = await chrome.tabs.get(tabId);
-    const [activeTab] = await chrome.tabs.query({ active: true, windowId: tab.windowId });
-    originalTab = activeTab;
+    const params = new URL(tabUrl || monitor.url).searchParams;
+    return params.get('__c') || params.get('ocid') || '';
   } catch (e) {
-    console.warn('[JOB] Could not get original active tab:', e.message);
+    return '';
   }
-  
-  // Retry loop
-  for (let attempt = 0; attempt <= DEFAULT_RETRY; attempt++) {
+}
+
+// ---- Delivery Destinations ----
+// destination = { id, type: 'telegram' | 'slack' | 'discord' | 'webhook', chatId?, botToken?, url?, label? }
+// payload     = { images: [{ blob, fileName, label? }], asAlbum, attachments: [{ blob, fileName }], caption, plainCaption, parseMode, monitor }
+const DESTINATION_RETRIES = 3;
+
+// The monitor's own chat ID (with the global bot token) is the implicit first destination
+function getMonitorDestinations(monitor, global) {
+  const destinations = [];
+  if (monitor.chatId && global.botToken) {
+    destinations.push({ id: 'default', type: 'telegram', chatId: monitor.chatId, botToken: global.botToken });
+  }
+  for (const dest of monitor.destinations || []) {
+    if (dest.type === 'telegram') {
+      destinations.push({ ...dest, botToken: dest.botToken || global.botToken });
+    } else {
+      destinations.push(dest);
+    }
+  }
+  return destinations;
+}
+
+function describeDestination(dest) {
+  if (dest.label) return dest.label;
+  if (dest.type === 'telegram') return `telegram:${dest.chatId}`;
+  try {
+    return `${dest.type}:${new URL(dest.url).host}`;
+  } catch (e) {
+    return dest.type;
+  }
+}
+
+// Generic retry with backoff for webhook-style senders (Telegram has its own loop)
+async function retryDelivery(label, retries, fn) {
+  for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      console.log(`[JOB] 📄 Attempt ${attempt + 1}/${DEFAULT_RETRY + 1}: Preparing tab ${tabId}...`);
-      
-      // NOTE: We do NOT focus tab here to avoid conflicts with other auto jobs
+      return await fn();
+    } catch (err) {
+      console.warn(`[DELIVERY] ${label} attempt ${attempt}/${retries} failed:`, err.message);
+      if (attempt === retries) {
+        throw new Error(`${label} thất bại sau ${retries} lần thử: ${err.message}`);
+      }
+      await sleep(2000 * attempt);
+    }
+  }
+}
+
+async function postOrThrow(url, init, label) {
+  const resp = await fetch(url, init);
+  if (!resp.ok) {
+    const body = await resp.text().catch(() => '');
+    throw new Error(`${label} HTTP ${resp.status}: ${body.substring(0, 200)}`);
+  }
+  return resp;
+}
+
+// Destinations without buttons get the links as plain text lines
+function appendLinkLines(text, buttons = []) {
+  return buttons.length ? `${text}\n${buttons.map(b => `🔗 ${b.text}: ${b.url}`).join('\n')}` : text;
+}
+
+// Slack incoming webhooks only accept JSON text, so files are listed by name
+async function sendToSlack(dest, payload, retries = DESTINATION_RETRIES) {
+  const fileNames = [...payload.images, ...payload.attachments].map(f => f.fileName);
+  const text = `${appendLinkLines(payload.plainCaption ?? payload.caption, payload.buttons)}\n_(Slack webhook không hỗ trợ file đính kèm: ${fileNames.join(', ')})_`;
+  await retryDelivery('Slack', retries, () => postOrThrow(dest.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text })
+  }, 'Slack'));
+}
+
+async function sendToDiscord(dest, payload, retries = DESTINATION_RETRIES) {
+  await retryDelivery('Discord', retries, () => {
+    const form = new FormData();
+    form.append('payload_json', JSON.stringify({ content: appendLinkLines(payload.plainCaption ?? payload.caption, payload.buttons).substring(0, 2000) }));
+    [...payload.images, ...payload.attachments].forEach((f, i) => form.append(`files[${i}]`, f.blob, f.fileName));
+    return postOrThrow(dest.url, { method: 'POST', body: form }, 'Discord');
+  });
+}
+
+// Generic HTTP endpoint: multipart with a JSON "payload" field plus the files
+async function sendToWebhook(dest, payload, retries = DESTINATION_RETRIES) {
+  await retryDelivery('Webhook', retries, () => {
+    const form = new FormData();
+    form.append('payload', JSON.stringify({
+      monitorId: payload.monitor.id,
+      monitorName: payload.monitor.name,
+      url: payload.monitor.url,
+      caption: payload.plainCaption ?? payload.caption,
+      links: payload.buttons || [],
+      sentAt: new Date().toISOString(),
+      files: [...payload.images, ...payload.attachments].map(f => f.fileName)
+    }));
+    payload.images.forEach(image => form.append('image', image.blob, image.fileName));
+    payload.attachments.forEach(a => form.append('attachments', a.blob, a.fileName));
+    return postOrThrow(dest.url, { method: 'POST', body: form }, 'Webhook');
+  });
+}
+
+const DESTINATION_SENDERS = {
+  telegram: (dest, payload, retries = DESTINATION_RETRIES) =>
+    sendToTelegram(dest.botToken, dest.chatId, payload.images, payload.attachments, payload.caption, retries, payload.parseMode, payload.asAlbum !== false, payload.buttons || [], payload.progress),
+  slack: sendToSlack,
+  discord: sendToDiscord,
+  webhook: sendToWebhook
+};
+
+// Fan out to every destination in parallel; one failure never blocks the others
+async function deliverToDestinations(destinations, payload) {
+  const results = await Promise.all(destinations.map(async (dest) => {
+    const label = describeDestination(dest);
+    const startedAt = Date.now();
+    const progress = {}; // per destination: which parts already went out
+    try {
+      const sender = DESTINATION_SENDERS[dest.type];
+      if (!sender) throw new Error(`Unknown destination type "${dest.type}"`);
+      await sender(dest, { ...payload, progress });
+      console.log(`[DELIVERY] ✅ ${label}`);
+      return { destinationId: dest.id, label, ok: true, at: startedAt };
+    } catch (err) {
+      console.error(`[DELIVERY] ❌ ${label}:`, err.message);
+      return { destinationId: dest.id, label, ok: false, error: err.message, at: startedAt, progress };
+    }
+  }));
+  return results;
+}
+
+// ---- IndexedDB (blobs don't fit in chrome.storage) ----
+const DB_NAME = 'autoTool';
+const DB_VERSION = 2;
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('outbox')) {
+        db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+      }
+      // v2: last sent screenshots per monitor (visual diff baseline)
+      if (!db.objectStoreNames.contains('captures')) {
+        db.createObjectStore('captures', { keyPath: 'monitorId' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run `fn(store)` in a transaction; resolves with the value of the returned IDBRequest (if any)
+async function withStore(storeName, mode, fn) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.onerror = reject;
+    reader.readAsDataURL(blob);
+  });
+}
+
+// ---- Outbox (undelivered payloads are kept and retried later) ----
+// item = { id, monitorId, monitorName, destination, caption, plainCaption, parseMode, images, asAlbum, attachments,
+//          progress, capturedAt, attempts, nextAttemptAt, lastError }
+// progress records the parts a Telegram destination already received (see sendToTelegram)
+const OUTBOX_DRAIN_ALARM = 'outboxDrain';
+const OUTBOX_MAX_BACKOFF_MINUTES = 60;
+let outboxDraining = false;
+
+async function enqueueOutbox(destination, payload, error, progress = {}) {
+  const item = {
+    monitorId: payload.monitor.id,
+    monitorName: payload.monitor.name,
+    destination,
+    caption: payload.caption,
+    plainCaption: payload.plainCaption,
+    parseMode: payload.parseMode || null,
+    images: payload.images,
+    asAlbum: payload.asAlbum,
+    attachments: payload.attachments,
+    buttons: payload.buttons || [],
+    progress,
+    capturedAt: payload.capturedAt || Date.now(),
+    attempts: 0,
+    nextAttemptAt: Date.now() + 60000,
+    lastError: error
+  };
+  const id = await withStore('outbox', 'readwrite', store => store.add(item));
+  console.log(`[OUTBOX] 📮 Queued item ${id} for ${describeDestination(destination)}`);
+  return id;
+}
+
+async function getOutboxCount() {
+  return withStore('outbox', 'readonly', store => store.count());
+}
+
+async function drainOutbox() {
+  if (outboxDraining) return;
+  outboxDraining = true;
+  
+  try {
+    const items = await withStore('outbox', 'readonly', store => store.getAll());
+    const due = items.filter(item => item.nextAttemptAt <= Date.now());
+    if (due.length === 0) return;
+    console.log(`[OUTBOX] 📤 Draining ${due.length}/${items.length} queued item(s)...`);
+    
+    for (const item of due) {
+      const label = describeDestination(item.destination);
+      const progress = item.progress || {};
+      try {
+        const sender = DESTINATION_SENDERS[item.destination.type];
+        if (!sender) throw new Error(`Unknown destination type "${item.destination.type}"`);
+        
+        // Mark as stale so readers know this is not a fresh capture
+        const stalePrefix = `⏳ Gửi trễ — chụp lúc ${new Date(item.capturedAt).toLocaleString('vi-VN')}\n`;
+        await sender(item.destination, {
+          // Items queued before multi-image support carry a single imageBlob
+          images: item.images || [{ blob: item.imageBlob, fileName: 'capture.png' }],
+          asAlbum: item.asAlbum,
+          attachments: item.attachments || [],
+          buttons: item.buttons || [],
+          caption: escapeCaptionValue(stalePrefix, item.parseMode) + item.caption,
+          plainCaption: stalePrefix + (item.plainCaption ?? item.caption),
+          parseMode: item.parseMode,
+          monitor: { id: item.monitorId, name: item.monitorName },
+          progress
+        }, 1);
+        
+        await withStore('outbox', 'readwrite', store => store.delete(item.id));
+        console.log(`[OUTBOX] ✅ Delivered stale item ${item.id} to ${label}`);
+      } catch (err) {
+        const attempts = item.attempts + 1;
+        const backoffMinutes = Math.min(2 ** attempts, OUTBOX_MAX_BACKOFF_MINUTES);
+        await withStore('outbox', 'readwrite', store => store.put({
+          ...item,
+          progress,
+          attempts,
+          nextAttemptAt: Date.now() + backoffMinutes * 60000,
+          lastError: err.message
+        }));
+        console.warn(`[OUTBOX] ⚠️ Item ${item.id} to ${label} failed again (attempt ${attempts}), next try in ${backoffMinutes} min:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error('[OUTBOX] ❌ Drain failed:', err);
+  } finally {
+    outboxDraining = false;
+  }
+}
+
+ensureRepeatingAlarm(OUTBOX_DRAIN_ALARM, 1).catch(err => console.warn('[OUTBOX] ⚠️ Could not schedule drain alarm:', err.message));
+
+// ---- Run Log (per monitor, newest first) ----
+// entry = { at, status: 'sent' | 'heartbeat' | 'skipped' | 'queued' | 'failed' | 'blocked', message,
+//           stepSummary?, steps?: [{ label, status, ms, selector?, error? }] }
+const RUN_LOG_LIMIT = 50;
+
+function appendRunLog(monitorId, entry, recipeSteps = null) {
+  if (recipeSteps?.length) {
+    entry = {
+      ...entry,
+      stepSummary: summarizeRecipeSteps(recipeSteps),
+      steps: recipeSteps.map(({ label, status, ms, selector, error }) => ({ label, status, ms, selector, error }))
+    };
+  }
+  return safeStorageWrite(async () => {
+    const { runLogs = {} } = await chrome.storage.local.get('runLogs');
+    runLogs[monitorId] = [{ at: Date.now(), ...entry }, ...(runLogs[monitorId] || [])].slice(0, RUN_LOG_LIMIT);
+    await chrome.storage.local.set({ runLogs });
+  }).catch(err => console.warn('[RUNLOG] ⚠️ Could not write run log:', err.message));
+}
+
+// ---- Change Detection (skip identical reports) ----
+// fingerprint = { imageHashes: [hex dHash per image], tableHash, at }
+// Compared against the last *sent* report so slow drifts still add up to a change.
+const DHASH_SIZE = 16;                  // 16x16 = 256-bit difference hash per image
+const DEFAULT_CHANGE_THRESHOLD = 1;     // % of hash bits that may differ and still count as "unchanged"
+const DEFAULT_HEARTBEAT_AFTER = 12;     // send anyway after this many skipped runs (0 = never)
+
+// Difference hash: shrink to (N+1)xN grayscale and compare horizontally adjacent pixels
+async function computeImageHash(blob) {
+  const bitmap = await createImageBitmap(blob, {
+    resizeWidth: DHASH_SIZE + 1,
+    resizeHeight: DHASH_SIZE,
+    resizeQuality: 'medium'
+  });
+  const canvas = new OffscreenCanvas(DHASH_SIZE + 1, DHASH_SIZE);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  const { data } = ctx.getImageData(0, 0, DHASH_SIZE + 1, DHASH_SIZE);
+  
+  const luminance = (x, y) => {
+    const i = (y * (DHASH_SIZE + 1) + x) * 4;
+    return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+  };
+  let hex = '';
+  for (let y = 0; y < DHASH_SIZE; y++) {
+    for (let x = 0; x < DHASH_SIZE; x += 4) {
+      let nibble = 0;
+      for (let bit = 0; bit < 4; bit++) {
+        nibble = (nibble << 1) | (luminance(x + bit, y) > luminance(x + bit + 1, y) ? 1 : 0);
+      }
+      hex += nibble.toString(16);
+    }
+  }
+  return hex;
+}
+
+// FNV-1a (32-bit) of the scraped rows; exact, so any changed cell counts
+function hashTableRows(rows) {
+  if (!Array.isArray(rows) || rows.length === 0) return null;
+  const text = JSON.stringify(rows);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function hashDistancePercent(a, b) {
+  let differing = 0;
+  for (let i = 0; i < a.length; i++) {
+    let xor = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (xor) {
+      differing += xor & 1;
+      xor >>= 1;
+    }
+  }
+  return (differing / (a.length * 4)) * 100;
+}
+
+async function computeFingerprint(images, rows) {
+  return {
+    imageHashes: await Promise.all(images.map(image => computeImageHash(image.blob))),
+    tableHash: hashTableRows(rows),
+    at: Date.now()
+  };
+}
+
+// Returns { changed, reason }
+function compareFingerprints(previous, current, thresholdPercent = DEFAULT_CHANGE_THRESHOLD) {
+  if (!previous) return { changed: true, reason: 'lần chạy đầu tiên' };
+  if (previous.imageHashes.length !== current.imageHashes.length) {
+    return { changed: true, reason: 'số lượng ảnh thay đổi' };
+  }
+  if (previous.tableHash && current.tableHash && previous.tableHash !== current.tableHash) {
+    return { changed: true, reason: 'dữ liệu bảng thay đổi' };
+  }
+  const distance = Math.max(0, ...current.imageHashes.map((hash, i) => hashDistancePercent(hash, previous.imageHashes[i])));
+  return {
+    changed: distance > thresholdPercent,
+    reason: `ảnh khác ${distance.toFixed(1)}% (ngưỡng ${thresholdPercent}%)`
+  };
+}
+
+// ---- Visual Diff (changes since the last sent report) ----
+// The page is compared cell by cell; changed cells are merged into boxes and outlined in red.
+// diffMode: 'off' | 'with' (diff after the screenshots) | 'instead' (diff replaces each changed screenshot)
+const DIFF_CELL_SIZE = 16;          // device px
+const DIFF_PIXEL_TOLERANCE = 48;    // summed RGB delta below which a pixel counts as unchanged (antialiasing, JPEG-ish noise)
+const DIFF_CELL_RATIO = 0.02;       // share of changed pixels that marks a cell as changed
+const DIFF_MAX_PIXELS = 40000000;   // skip huge full-page images instead of exhausting memory
+
+async function loadPreviousCapture(monitorId) {
+  return withStore('captures', 'readonly', store => store.get(monitorId));
+}
+
+async function savePreviousCapture(monitorId, images) {
+  await withStore('captures', 'readwrite', store => store.put({
+    monitorId,
+    images: images.map(({ blob, fileName, label }) => ({ blob, fileName, label })),
+    at: Date.now()
+  }));
+}
+
+async function readPixels(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return { canvas, ctx, data: ctx.getImageData(0, 0, canvas.width, canvas.height).data };
+}
+
+// Returns the outlined diff image as a Blob, or null when nothing changed / images can't be aligned
+async function buildDiffImage(previousBlob, currentBlob) {
+  const previous = await readPixels(previousBlob);
+  const current = await readPixels(currentBlob);
+  const { width, height } = current.canvas;
+  if (previous.canvas.width !== width || previous.canvas.height !== height) {
+    console.log(`[DIFF] ℹ️ Size changed (${previous.canvas.width}x${previous.canvas.height} → ${width}x${height}), no diff`);
+    return null;
+  }
+  if (width * height > DIFF_MAX_PIXELS) {
+    console.warn(`[DIFF] ⚠️ Image too large for diff (${width}x${height})`);
+    return null;
+  }
+  
+  const cols = Math.ceil(width / DIFF_CELL_SIZE);
+  const rows = Math.ceil(height / DIFF_CELL_SIZE);
+  const changed = new Uint8Array(cols * rows);
+  const changedPixels = new Uint32Array(cols * rows);
+  
+  for (let y = 0; y < height; y++) {
+    const cellRow = Math.floor(y / DIFF_CELL_SIZE) * cols;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const delta = Math.abs(current.data[i] - previous.data[i]) +
+                    Math.abs(current.data[i + 1] - previous.data[i + 1]) +
+                    Math.abs(current.data[i + 2] - previous.data[i + 2]);
+      if (delta > DIFF_PIXEL_TOLERANCE) changedPixels[cellRow + Math.floor(x / DIFF_CELL_SIZE)]++;
+    }
+  }
+  const cellArea = DIFF_CELL_SIZE * DIFF_CELL_SIZE;
+  changedPixels.forEach((count, cell) => { changed[cell] = count / cellArea > DIFF_CELL_RATIO ? 1 : 0; });
+  
+  // Merge touching changed cells (8-neighbourhood) into bounding boxes
+  const boxes = [];
+  const seen = new Uint8Array(cols * rows);
+  for (let start = 0; start < changed.length; start++) {
+    if (!changed[start] || seen[start]) continue;
+    const box = { minX: cols, minY: rows, maxX: 0, maxY: 0 };
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length) {
+      const cell = stack.pop();
+      const cx = cell % cols;
+      const cy = Math.floor(cell / cols);
+      box.minX = Math.min(box.minX, cx); box.maxX = Math.max(box.maxX, cx);
+      box.minY = Math.min(box.minY, cy); box.maxY = Math.max(box.maxY, cy);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = cx + dx;
+          const ny = cy + dy;
+          if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+          const next = ny * cols + nx;
+          if (changed[next] && !seen[next]) {
+            seen[next] = 1;
+            stack.push(next);
+          }
+        }
+      }
+    }
+    boxes.push(box);
+  }
+  if (boxes.length === 0) return null;
+  
+  const ctx = current.ctx;
+  const lineWidth = Math.max(2, Math.round(width / 600));
+  ctx.lineWidth = lineWidth;
+  ctx.strokeStyle = '#FF1744';
+  ctx.fillStyle = 'rgba(255, 23, 68, 0.12)';
+  for (const box of boxes) {
+    const x = Math.max(0, box.minX * DIFF_CELL_SIZE - lineWidth);
+    const y = Math.max(0, box.minY * DIFF_CELL_SIZE - lineWidth);
+    const w = Math.min(width, (box.maxX + 1) * DIFF_CELL_SIZE + lineWidth) - x;
+    const h = Math.min(height, (box.maxY + 1) * DIFF_CELL_SIZE + lineWidth) - y;
+    ctx.fillRect(x, y, w, h);
+    ctx.strokeRect(x, y, w, h);
+  }
+  console.log(`[DIFF] 🔴 ${boxes.length} changed area(s)`);
+  return current.canvas.convertToBlob({ type: 'image/png' });
+}
+
+// Returns one entry per current image: { blob, fileName, label } of its diff, or null
+async function buildDiffImages(monitorId, images) {
+  const previous = await loadPreviousCapture(monitorId);
+  if (!previous) return images.map(() => null);
+  
+  const diffs = [];
+  for (let i = 0; i < images.length; i++) {
+    // Regions are matched by file name so reordering doesn't compare unrelated images
+    const before = previous.images.find(p => p.fileName === images[i].fileName);
+    const blob = before ? await buildDiffImage(before.blob, images[i].blob) : null;
+    diffs.push(blob && {
+      blob,
+      fileName: `diff_${images[i].fileName}`,
+      label: `${images[i].label || 'Ảnh'} — thay đổi so với lần gửi trước`
+    });
+  }
+  return diffs;
+}
+
+// ---- Date Range Presets (resolved at run time) ----
+// Ranges follow Google Ads conventions: "last N days" ends yesterday
+const DATE_RANGE_PRESETS = ['today', 'yesterday', 'last7', 'last14', 'last30', 'monthToDate', 'previousMonth'];
+
+function toIsoDate(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+// Returns { startDate, endDate } as YYYY-MM-DD strings, or nulls when no range is configured
+function resolveDateRange(conf, now = new Date()) {
+  const preset = conf.datePreset || '';
+  if (!preset) {
+    return { startDate: conf.startDate || null, endDate: conf.endDate || null };
+  }
+  if (!DATE_RANGE_PRESETS.includes(preset)) {
+    console.warn(`[DATE] ⚠️ Unknown date preset "${preset}", skipping date filter`);
+    return { startDate: null, endDate: null };
+  }
+  
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const daysAgo = (n) => new Date(today.getFullYear(), today.getMonth(), today.getDate() - n);
+  
+  let start;
+  let end;
+  switch (preset) {
+    case 'today':
+      start = end = today;
+      break;
+    case 'yesterday':
+      start = end = daysAgo(1);
+      break;
+    case 'last7':
+      start = daysAgo(7);
+      end = daysAgo(1);
+      break;
+    case 'last14':
+      start = daysAgo(14);
+      end = daysAgo(1);
+      break;
+    case 'last30':
+      start = daysAgo(30);
+      end = daysAgo(1);
+      break;
+    case 'monthToDate':
+      start = new Date(today.getFullYear(), today.getMonth(), 1);
+      end = today;
+      break;
+    case 'previousMonth':
+      start = new Date(today.getFullYear(), today.getMonth() - 1, 1);
+      end = new Date(today.getFullYear(), today.getMonth(), 0); // day 0 = last day of previous month
+      break;
+  }
+  
+  return { startDate: toIsoDate(start), endDate: toIsoDate(end) };
+}
+
+// ---- Google Ads UI Locales ----
+// Text that no structural selector can replace, plus the date format the date inputs expect.
+// Recipes get the labels as {{labelXxx}} params, so custom recipes can be locale-independent too.
+const GOOGLE_ADS_LOCALES = {
+  vi: {
+    dateFormat: 'D/M/YYYY',
+    labels: {
+      labelLayers: 'Lớp',
+      labelConvertedCurrency: 'Đơn vị tiền tệ đã chuyển đổi',
+      labelApply: 'Áp dụng',
+      labelGoogleSheets: 'Google Trang tính',
+      labelDownload: 'Tải xuống'
+    }
+  },
+  en: {
+    dateFormat: 'M/D/YYYY',
+    labels: {
+      labelLayers: 'Layers',
+      labelConvertedCurrency: 'Converted currency',
+      labelApply: 'Apply',
+      labelGoogleSheets: 'Google Sheets',
+      labelDownload: 'Download'
+    }
+  },
+  // Regional variants only override what differs from the base language
+  'en-gb': { dateFormat: 'D/M/YYYY' },
+  'en-au': { dateFormat: 'D/M/YYYY' },
+  'en-in': { dateFormat: 'D/M/YYYY' }
+};
+const DEFAULT_UI_LOCALE = 'vi'; // pages without a lang attribute keep the original behaviour
+
+// Locale from a BCP 47 tag ("en-GB", "vi"); unknown languages get English labels and
+// the browser's numeric date order for that language
+function resolveUiLocale(lang) {
+  const code = String(lang || DEFAULT_UI_LOCALE).toLowerCase().replace('_', '-');
+  const base = code.split('-')[0];
+  const known = GOOGLE_ADS_LOCALES[base];
+  const regional = GOOGLE_ADS_LOCALES[code] || {};
+  const fallback = GOOGLE_ADS_LOCALES.en;
+  return {
+    code: known ? code : base,
+    known: Boolean(known),
+    dateFormat: regional.dateFormat || known?.dateFormat || intlDateFormat(code),
+    labels: { ...fallback.labels, ...known?.labels, ...regional.labels }
+  };
+}
+
+// "D/M/YYYY"-style pattern derived from Intl for languages without a table entry
+function intlDateFormat(lang) {
+  try {
+    const parts = new Intl.DateTimeFormat(lang, { year: 'numeric', month: 'numeric', day: 'numeric' })
+      .formatToParts(new Date(2000, 10, 22));
+    return parts.map(p => ({ day: 'D', month: 'M', year: 'YYYY' })[p.type] || p.value).join('');
+  } catch (e) {
+    return GOOGLE_ADS_LOCALES.en.dateFormat;
+  }
+}
+
+// ISO "2024-01-05" -> locale pattern (D / DD, M / MM, YYYY)
+function formatLocaleDate(isoDate, dateFormat) {
+  if (!isoDate) return '';
+  const [year, month, day] = isoDate.split('-');
+  return dateFormat.replace(/YYYY|DD|D|MM|M/g, token => ({
+    YYYY: year,
+    DD: day,
+    D: String(Number(day)),
+    MM: month,
+    M: String(Number(month))
+  })[token]);
+}
+
+// monitor.uiLocale ('auto' | code) wins; otherwise the page's <html lang>, then the browser language
+async function detectUiLocale(tabId, monitor) {
+  if (monitor.uiLocale && monitor.uiLocale !== 'auto') return resolveUiLocale(monitor.uiLocale);
+  const lang = await runInTab(tabId, () => document.documentElement.lang || navigator.language || '').catch(() => '');
+  const locale = resolveUiLocale(lang);
+  if (lang && !locale.known) {
+    console.warn(`[LOCALE] ⚠️ No label table for "${lang}", using English labels and date format ${locale.dateFormat}`);
+  }
+  return locale;
+}
+
+// ---- Page Health Check (never send a sign-in or error page to clients) ----
+// scope 'monitor': needs a person (sign in again...), the monitor is paused until resumed;
+// scope 'account': like 'monitor', but in a multi-account run only that account is skipped;
+// scope 'run': nothing to fix, this run is skipped and the monitor keeps its schedule
+const PAGE_HEALTH_PROBLEMS = {
+  'login': { reason: 'Phiên Google đã hết hạn (trang đăng nhập)', scope: 'monitor' },
+  'two-factor': { reason: 'Google yêu cầu xác minh 2 bước', scope: 'monitor' },
+  'consent': { reason: 'Trang xác nhận cookie / quyền riêng tư', scope: 'monitor' },
+  'access-denied': { reason: 'Không có quyền truy cập tài khoản', scope: 'account' },
+  'empty-report': { reason: 'Báo cáo trống (không có dữ liệu)', scope: 'run' }
+};
+
+// Redirects are visible from the URL alone
+function classifyPageUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return null;
+  }
+  if (parsed.hostname === 'accounts.google.com') {
+    return /challenge|totp|ipp|2sv/i.test(parsed.pathname) ? 'two-factor' : 'login';
+  }
+  if (parsed.hostname.startsWith('consent.')) return 'consent';
+  return null;
+}
+
+// Resolves with { problem, detail, url } or null when the page looks like a normal report.
+// The empty-report check only makes sense once the recipe has applied the date range.
+async function checkPageHealth(tabId, { includeEmptyReport = false } = {}) {
+  const tab = await chrome.tabs.get(tabId);
+  const url = tab.url || tab.pendingUrl || '';
+  const fromUrl = classifyPageUrl(url);
+  if (fromUrl) return { problem: fromUrl, detail: new URL(url).hostname, url };
+  
+  const found = await runInTab(tabId, inspectPageHealth, [includeEmptyReport]).catch(() => null);
+  return found ? { ...found, url } : null;
+}
+
+// Nothing is sent for this run either way; only problems a person has to fix pause the monitor.
+// A problem of one account (no access) must not stop the other accounts of the monitor.
+async function handleUnhealthyPage(monitor, tabId, health) {
+  const { scope } = PAGE_HEALTH_PROBLEMS[health.problem];
+  if (scope === 'run' || (scope === 'account' && monitor.account)) {
+    await skipUnhealthyRun(monitor, health);
+  } else {
+    await pauseUnhealthyMonitor(monitor, tabId, health);
+  }
+}
+
+// E.g. no data for the day yet: log it, tell the operator once, try again on the next scheduled run.
+// The problem is kept as lastHealthProblem (per account in accountState) until a report goes out.
+async function skipUnhealthyRun(monitor, health) {
+  const { reason, scope } = PAGE_HEALTH_PROBLEMS[health.problem];
+  console.warn(`[HEALTH] ⚠️ ${describeJob(monitor)}: ${health.problem} (${health.detail}), skipping this run`);
+  
+  await updateJobState(monitor, state => {
+    state.lastHealthProblem = { problem: health.problem, detail: health.detail, url: health.url, at: Date.now() };
+  });
+  await appendRunLog(monitor.id, {
+    status: 'skipped',
+    message: `${reason} — bỏ qua lần chạy này, không gửi cho khách`,
+    ...(monitor.account ? { account: monitor.accountLabel } : {})
+  });
+  if (monitor.openIncident?.problem === health.problem) return; // operator already knows
+  
+  await updateJobState(monitor, state => { state.openIncident = { at: Date.now(), reason, problem: health.problem }; });
+  await sendOperatorAlert([
+    `⚠️ Monitor "${describeJob(monitor)}": ${reason}`,
+    `URL: ${health.url}`,
+    scope === 'account'
+      ? 'Các tài khoản khác vẫn chạy; cấp lại quyền cho tài khoản này thì lần chạy sau sẽ gửi bình thường'
+      : 'Monitor vẫn chạy theo lịch, báo cáo sẽ được gửi khi có dữ liệu'
+  ].join('\n'));
+}
+
+// Stops delivery for good: the monitor stays paused until someone fixes the page and resumes it
+async function pauseUnhealthyMonitor(monitor, tabId, health) {
+  const { reason } = PAGE_HEALTH_PROBLEMS[health.problem];
+  console.warn(`[HEALTH] 🔒 ${describeJob(monitor)}: ${health.problem} (${health.detail}), pausing monitor`);
+  
+  await stopMonitor(monitor.id);
+  await updateMonitor(monitor.id, m => {
+    m.pausedReason = { problem: health.problem, detail: health.detail, url: health.url, at: Date.now() };
+  });
+  await updateJobState(monitor, state => { state.openIncident = { at: Date.now(), reason }; });
+  await appendRunLog(monitor.id, { status: 'blocked', message: `${reason} — đã tạm dừng, không gửi cho khách` });
+  chrome.action.setBadgeText({ text: '!', tabId });
+  chrome.action.setBadgeBackgroundColor({ color: '#F44336', tabId });
+  
+  await sendOperatorAlert([
+    `🔒 Monitor "${describeJob(monitor)}" đã tạm dừng`,
+    `Lý do: ${reason} (${health.detail})`,
+    `URL: ${health.url}`,
+    `Sửa xong (đăng nhập lại...) thì bấm "Bắt đầu Auto" hoặc gửi /resume ${monitor.name || monitor.id}`
+  ].join('\n'));
+}
+
+// ---- Operator Alerts (operator chat only, never the client destinations) ----
+// globalSettings.operatorChatId only: alerts may carry client data, so no other chat list is reused
+async function getOperatorConfig() {
+  const { globalSettings = {} } = await chrome.storage.local.get('globalSettings');
+  const chatIds = globalSettings.operatorChatId ? [globalSettings.operatorChatId] : [];
+  return { botToken: globalSettings.botToken || null, chatIds: chatIds.map(String) };
+}
+
+const TELEGRAM_MESSAGE_LIMIT = 4096;
+
+// screenshot (optional) = { blob, fileName }, sent as a document right before the text
+async function sendOperatorAlert(text, screenshot = null) {
+  const { botToken, chatIds } = await getOperatorConfig();
+  if (!botToken || chatIds.length === 0) {
+    console.warn('[OPERATOR] ⚠️ No operator chat ID set, alert not sent (only logged):', text);
+    return false;
+  }
+  const body = text.length > TELEGRAM_MESSAGE_LIMIT ? `${text.substring(0, TELEGRAM_MESSAGE_LIMIT - 1)}…` : text;
+  const results = await Promise.allSettled(chatIds.map(async (chatId) => {
+    if (screenshot) {
+      await sendToTelegram(botToken, chatId, [screenshot], [], text.split('\n')[0], 1).catch(err =>
+        console.warn(`[OPERATOR] ⚠️ Screenshot to ${chatId} failed, sending text only:`, err.message));
+    }
+    return sendTelegramMessage(botToken, chatId, body);
+  }));
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') console.error(`[OPERATOR] ❌ Alert to ${chatIds[i]} failed:`, result.reason?.message);
+  });
+  return results.some(result => result.status === 'fulfilled');
+}
+
+// ---- Failure Reports (final failure → operator, then "recovered" on the next good run) ----
+// monitor.openIncident = { at, reason } while the operator has an unresolved alert for it
+function formatStepTimeline(steps) {
+  const icons = { ok: '✅', skipped: '⏭️', failed: '⚠️' };
+  return steps.map(step => `${icons[step.status]} ${step.index + 1}. ${step.label} (${step.ms}ms)` +
+    `${step.selector ? ` [${step.selector}]` : ''}${step.error ? ` — ${step.error}` : ''}`).join('\n');
+}
+
+async function reportJobFailure(monitor, tabId, err, attempts, recipeSteps) {
+  const tab = await chrome.tabs.get(tabId).catch(() => ({}));
+  let screenshot = null;
+  try {
+    // Masked like any report; when the masks can't be placed the report goes out as text only
+    const dataUrl = await enqueueCaptureJob(tabId, () => captureRedactedViewport(tabId, monitor));
+    screenshot = { blob: await (await fetch(dataUrl)).blob(), fileName: 'failure.png' };
+  } catch (e) {
+    console.warn('[OPERATOR] ⚠️ No failure screenshot, sending text only:', e.message);
+  }
+  
+  const lines = [
+    `❌ Monitor "${describeJob(monitor)}" thất bại sau ${attempts} lần thử`,
+    `URL: ${tab.url || monitor.url || '(không rõ)'}`,
+    `Lỗi: ${err.message}`
+  ];
+  if (recipeSteps?.length) lines.push('', '🧩 Các bước:', formatStepTimeline(recipeSteps));
+  if (err.stack) lines.push('', `Stack:\n${err.stack.split('\n').slice(0, 8).join('\n')}`);
+  
+  await sendOperatorAlert(lines.join('\n'), screenshot);
+  await updateJobState(monitor, state => { state.openIncident = { at: Date.now(), reason: err.message }; });
+}
+
+// Called after a run that worked; tells the operator the earlier alert is resolved
+async function resolveOperatorIncident(monitor) {
+  if (!monitor.openIncident) return;
+  const { at, reason } = monitor.openIncident;
+  await updateJobState(monitor, state => { delete state.openIncident; });
+  await sendOperatorAlert(`✅ Monitor "${describeJob(monitor)}" đã chạy lại bình thường\n` +
+    `Lỗi từ ${new Date(at).toLocaleString('vi-VN')}: ${reason}`);
+}
+
+// ---- Automation Recipes (declarative page steps) ----
+// recipe = { name, params?: { key: defaultValue }, steps: [step] }
+// step   = { type, label?, selector?: string | string[], text?, value?, when?: paramName,
+//            timeout?: ms, retries?: n, required?: bool, optional?: bool, delay?: ms after the step, ...type options }
+// A failed step aborts the job unless it is optional; `required: true` wins over `optional`.
+// Strings may use {{param}} placeholders (dates, fileName and the {{labelXxx}} locale labels).
+// Steps are run by runRecipeInPage() inside the page.
+const RECIPE_STEP_TYPES = ['click', 'type', 'select-option', 'wait-for-selector', 'wait-for-idle', 'scroll-container', 'assert-text', 'delay'];
+const RECIPE_STEP_REQUIRED_FIELDS = {
+  'click': ['selector'],
+  'type': ['selector', 'value'],
+  'select-option': ['selector', 'text'],
+  'wait-for-selector': ['selector'],
+  'assert-text': ['text'],
+  'delay': ['ms']
+};
+
+// Google Ads building blocks, ported from the former hard-coded automation functions.
+// Steps are optional so a layout change degrades to "screenshot as-is", like before, except the
+// date range: a report of the wrong dates must not be sent.
+// Structural selectors come first; visible text only where nothing else identifies the element.
+const DOWNLOAD_MENU_STEP = { type: 'click', label: 'Mở menu "Tải xuống"', selector: ['material-menu.report-download-menu-item material-button.trigger-button', 'toolbelt-bar .right-panel material-menu.report-download-menu-item material-button.trigger-button'], retries: 2, optional: true, delay: 1200 };
+
+const BUILTIN_RECIPE_STEPS = {
+  pageReady: [
+    { type: 'wait-for-selector', label: 'Chờ giao diện tải xong', selector: ['dropdown-button.menu-trigger.primary-range .button', 'dropdown-button.primary-range .button', '.date-range .button'], timeout: 20000, optional: true, delay: 2000 }
+  ],
+  dateRange: [
+    { type: 'click', label: 'Mở bộ chọn ngày', when: 'startDate', selector: ['dropdown-button.menu-trigger.primary-range .button', 'dropdown-button.primary-range .button', '.date-range .button'], retries: 1, required: true, delay: 800 },
+    { type: 'type', label: 'Nhập ngày bắt đầu', when: 'startDate', selector: 'material-input.start.date-input input', value: '{{startDateDisplay}}', timeout: 3000, retries: 1, required: true, delay: 300 },
+    { type: 'type', label: 'Nhập ngày kết thúc', when: 'startDate', selector: ['material-input.end.date-input input', '.end.date-input input'], value: '{{endDateDisplay}}', timeout: 3000, retries: 1, required: true, delay: 300 },
+    { type: 'click', label: 'Áp dụng khoảng ngày', when: 'startDate', selector: 'material-button.apply', timeout: 3000, retries: 1, required: true, delay: 600 },
+    { type: 'wait-for-idle', label: 'Chờ dữ liệu tải', when: 'startDate', selector: 'material-progress, [role="progressbar"]', timeout: 10000, optional: true, delay: 500 }
+  ],
+  lop: [
+    { type: 'click', label: 'Mở menu "Lớp"', selector: ['layers material-button.btn', 'material-button[aria-label="{{labelLayers}}"]'], optional: true, delay: 1500 },
+    { type: 'wait-for-selector', label: 'Chờ popup "Lớp"', selector: '.popup-wrapper.visible[role="dialog"]', timeout: 5000, optional: true },
+    { type: 'select-option', label: 'Chọn "Đơn vị tiền tệ đã chuyển đổi"', selector: ['.popup-wrapper.visible material-select-item', 'material-select-item'], text: '{{labelConvertedCurrency}}', skipIfSelected: true, optional: true, delay: 1000 },
+    { type: 'click', label: 'Áp dụng "Lớp"', selector: ['.popup-wrapper.visible .main .wrapper material-button[raised]', '.popup-wrapper.visible material-button[raised]'], mouseEvents: true, optional: true, delay: 1500 }
+  ],
+  scrollToBottom: [
+    { type: 'scroll-container', label: 'Cuộn đến cuối trang', selector: ['awsm-child-content', '.awsm-content', '.awsm-nav-bar-and-content'], to: 'bottom', mode: 'wheel', optional: true, delay: 3000 }
+  ],
+  sheetsExport: [
+    DOWNLOAD_MENU_STEP,
+    { type: 'click', label: 'Chọn "Google Trang tính"', selector: 'material-select-item[aria-label="{{labelGoogleSheets}}"]', retries: 2, optional: true, delay: 1500 },
+    { type: 'type', label: 'Nhập tên file', selector: ['material-dialog.basic-dialog material-input input[type="text"]', 'material-dialog.basic-dialog material-input.themeable input'], value: '{{fileName}}', retries: 2, optional: true, delay: 300 },
+    { type: 'click', label: 'Bấm "Tải xuống"', selector: ['material-dialog material-button.btn-yes.highlighted', 'material-yes-no-buttons material-button.btn-yes'], retries: 2, optional: true, export: true, delay: 2000 }
+  ],
+  // The job then waits for the file with chrome.downloads (see waitForReportDownload)
+  fileExport: [
+    DOWNLOAD_MENU_STEP,
+    { type: 'click', label: 'Chọn định dạng file', selector: 'material-select-item', text: '{{exportFormatLabel}}', retries: 2, optional: true, delay: 1500 }
+  ]
+};
+
+// Recipe equivalent to the monitor's checkboxes (used when no custom recipe is saved)
+function buildDefaultRecipe(monitor) {
+  const steps = [...BUILTIN_RECIPE_STEPS.pageReady, ...BUILTIN_RECIPE_STEPS.dateRange];
+  if (monitor.enableLop) steps.push(...BUILTIN_RECIPE_STEPS.lop);
+  if (monitor.enableScrollToBottom) steps.push(...BUILTIN_RECIPE_STEPS.scrollToBottom);
+  const exportMode = monitor.exportMode || 'sheets';
+  if (exportMode === 'sheets' && monitor.fileName) steps.push(...BUILTIN_RECIPE_STEPS.sheetsExport);
+  if (REPORT_EXPORT_FORMATS[exportMode]) steps.push(...BUILTIN_RECIPE_STEPS.fileExport);
+  return { name: 'Google Ads (mặc định)', steps };
+}
+
+function getMonitorRecipe(monitor) {
+  return monitor.recipe?.steps?.length ? monitor.recipe : buildDefaultRecipe(monitor);
+}
+
+// Returns an error message, or null when the recipe is usable
+function validateRecipe(recipe) {
+  if (!recipe || typeof recipe !== 'object' || !Array.isArray(recipe.steps)) {
+    return 'Kịch bản phải là object có mảng "steps"';
+  }
+  for (let i = 0; i < recipe.steps.length; i++) {
+    const step = recipe.steps[i];
+    if (!RECIPE_STEP_TYPES.includes(step?.type)) {
+      return `Bước ${i + 1}: loại "${step?.type}" không hợp lệ (${RECIPE_STEP_TYPES.join(', ')})`;
+    }
+    const missing = (RECIPE_STEP_REQUIRED_FIELDS[step.type] || []).find(field => step[field] === undefined || step[field] === '');
+    if (missing) return `Bước ${i + 1} (${step.type}): thiếu "${missing}"`;
+  }
+  return null;
+}
+
+// Runs a recipe in the tab; resolves with { ok, error?, steps: [{ index, type, label, status, required, selector?, error?, detail?, ms }] }
+async function runRecipe(tabId, recipe, params) {
+  const invalid = validateRecipe(recipe);
+  if (invalid) throw new Error(`Kịch bản không hợp lệ: ${invalid}`);
+  
+  console.log(`[RECIPE] 🧩 Running "${recipe.name || 'recipe'}" (${recipe.steps.length} steps)`);
+  const result = await runInTab(tabId, runRecipeInPage, [recipe, { ...(recipe.params || {}), ...params }]);
+  if (!result) throw new Error('Kịch bản không trả về kết quả');
+  
+  for (const step of result.steps) {
+    const icon = { ok: '✅', skipped: '⏭️', failed: '⚠️' }[step.status];
+    console.log(`[RECIPE] ${icon} ${step.index + 1}. ${step.label} (${step.ms}ms)${step.selector ? ` [${step.selector}]` : ''}${step.error ? `: ${step.error}` : ''}`);
+  }
+  return result;
+}
+
+// True when the recipe has export steps (`export: true`) and all of them ran; the job only waits
+// for the created spreadsheet then
+function exportStepsSucceeded(recipe, steps) {
+  const exportIndexes = recipe.steps.map((step, i) => step.export ? i : -1).filter(i => i >= 0);
+  return exportIndexes.length > 0 && exportIndexes.every(i => steps.find(step => step.index === i)?.status === 'ok');
+}
+
+// One line for the run log / caption: "9 ✓ · 2 ⏭ · 1 ✗ — Áp dụng khoảng ngày: ..."
+function summarizeRecipeSteps(steps) {
+  const count = status => steps.filter(step => step.status === status).length;
+  const parts = [`${count('ok')} ✓`];
+  if (count('skipped')) parts.push(`${count('skipped')} ⏭`);
+  if (count('failed')) parts.push(`${count('failed')} ✗`);
+  const failures = steps.filter(step => step.status === 'failed').map(step => `${step.label}: ${step.error}`);
+  return `${steps.length} bước: ${parts.join(' · ')}${failures.length ? ` — ${failures.join('; ')}` : ''}`;
+}
+
+// ---- Multi-account Monitors ----
+// monitor.accounts = [{ id, ocid, c, chatId, label }]: every run walks the monitor's report URL
+// through each Google Ads account (ocid / __c) in the same tab and sends to that account's chat.
+// Change detection, incident and page-health state is kept per account in monitor.accountState[account.id];
+// an account without access is skipped there while the other accounts still run.
+function getMonitorAccounts(monitor) {
+  return (monitor.accounts || []).filter(account => account.ocid || account.c);
+}
+
+function buildAccountUrl(url, account) {
+  const target = new URL(url);
+  // Drop the other parameter too, it would still point at the previous account
+  for (const [key, value] of [['ocid', account.ocid], ['__c', account.c]]) {
+    if (value) {
+      target.searchParams.set(key, value);
+    } else {
+      target.searchParams.delete(key);
+    }
+  }
+  return target.toString();
+}
+
+// The monitor as seen by one account's run: its chat and label replace the monitor's
+function getAccountJob(monitor, account) {
+  const state = monitor.accountState?.[account.id] || {};
+  return {
+    ...monitor,
+    account,
+    chatId: account.chatId || monitor.chatId,
+    destinations: account.chatId ? [] : monitor.destinations,
+    accountLabel: account.label || account.c || account.ocid,
+    lastFingerprint: state.lastFingerprint,
+    skippedRuns: state.skippedRuns,
+    lastDelivery: state.lastDelivery,
+    openIncident: state.openIncident
+  };
+}
+
+// Job state (fingerprint, skipped runs, incidents...) goes to the monitor or to its account slot
+function updateJobState(job, mutate) {
+  return updateMonitor(job.id, m => {
+    if (!job.account) return mutate(m);
+    m.accountState = m.accountState || {};
+    m.accountState[job.account.id] = m.accountState[job.account.id] || {};
+    return mutate(m.accountState[job.account.id]);
+  });
+}
+
+// Key for per-run data outside the monitor record (previous capture in IndexedDB)
+function getJobStateKey(job) {
+  return job.account ? `${job.id}:${job.account.id}` : job.id;
+}
+
+function describeJob(job) {
+  const name = job.name || job.id;
+  return job.account ? `${name} / ${job.accountLabel}` : name;
+}
+
+// ---- Main Job Logic with Retry ----
+async function runJobForTab(tabId, monitorId = null) {
+  console.log(`[JOB] ====== Starting job for tab ${tabId} ======`);
+  
+  const store = await chrome.storage.local.get(['globalSettings', 'monitors']);
+  const global = store.globalSettings || {};
+  const monitors = store.monitors || {};
+  const monitor = (monitorId && monitors[monitorId]) ||
+                  Object.values(monitors).find(m => m.tabId === tabId);
+  if (!monitor) {
+    console.warn(`[JOB] ⚠️ No monitor bound to tab ${tabId}`);
+    return;
+  }
+  
+  const accounts = getMonitorAccounts(monitor);
+  if (accounts.length === 0) {
+    await runMonitorJob(tabId, monitor, global);
+    return;
+  }
+  
+  // Several accounts: same tab, one after another (each navigates the tab to its own URL)
+  const startedAt = Date.now();
+  console.log(`[JOB] 👥 ${accounts.length} account(s), running sequentially in tab ${tabId}`);
+  for (let i = 0; i < accounts.length; i++) {
+    const current = await getMonitor(monitor.id);
+    if (!current) return;
+    if (current.pausedReason?.at >= startedAt) {
+      // A sign-in / consent page hits every account of the session, no point trying the rest
+      // (an account without access is only skipped, see handleUnhealthyPage)
+      console.warn(`[JOB] ⏸️ Monitor paused during this run, skipping ${accounts.length - i} remaining account(s)`);
+      return;
+    }
+    const job = getAccountJob(current, accounts[i]);
+    console.log(`[JOB] 👤 Account ${i + 1}/${accounts.length}: ${job.accountLabel}`);
+    await runMonitorJob(tabId, job, global);
+  }
+}
+
+// One report run (with retries) for a monitor, or for one account of it (see getAccountJob)
+async function runMonitorJob(tabId, monitor, global) {
+  const { pageLoadTimeout = DEFAULT_PAGE_LOAD_TIMEOUT } = monitor;
+  const destinations = getMonitorDestinations(monitor, global);
+  
+  if (destinations.length === 0) {
+    console.warn(`[JOB] ⚠️ No delivery destination for monitor ${describeJob(monitor)} (tab ${tabId})`);
+    return;
+  }
+  const logTag = monitor.account ? { account: monitor.accountLabel } : {};
+  
+  console.log(`[JOB] Config - destinations: ${destinations.map(describeDestination).join(', ')}, timeout: ${pageLoadTimeout}ms`);
+  
+  // Store original active tab to restore later
+  let originalTab = null;
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    const [activeTab] = await chrome.tabs.query({ active: true, windowId: tab.windowId });
+    originalTab = activeTab;
+  } catch (e) {
+    console.warn('[JOB] Could not get original active tab:', e.message);
+  }
+  
+  // Retry loop
+  for (let attempt = 0; attempt <= DEFAULT_RETRY; attempt++) {
+    let recipeSteps = null; // structured step results for the run log / caption
+    let blobsHeld = false;  // page's URL.revokeObjectURL is patched (see holdBlobUrls)
+    try {
+      console.log(`[JOB] 📄 Attempt ${attempt + 1}/${DEFAULT_RETRY + 1}: Preparing tab ${tabId}...`);
+      
+      // NOTE: We do NOT focus tab here to avoid conflicts with other auto jobs
       // Tab will only be focused right before screenshot capture
       
       // Check if we should reload (skip reload if this is a retry and tab is already loaded)
@@ -540,8 +2240,12 @@ async function runJobForTab(tabId) {
         }
       }
       
-      // Reload tab (if needed) - can run in background
-      if (shouldReload) {
+      // Account runs open their own URL first; retries reload it like a normal monitor
+      if (monitor.account && attempt === 0) {
+        const accountUrl = buildAccountUrl(monitor.url, monitor.account);
+        console.log(`[JOB] 🔀 Opening account ${monitor.accountLabel}: ${accountUrl}`);
+        await chrome.tabs.update(tabId, { url: accountUrl });
+      } else if (shouldReload) {
         console.log(`[JOB] 🔄 Reloading tab ${tabId} (using cache for faster load)...`);
         await chrome.tabs.reload(tabId, { bypassCache: false }); // Always use cache for faster load
       } else {
@@ -571,17 +2275,47 @@ async function runJobForTab(tabId) {
         console.warn(`[JOB] ⚠️ Content script not responding (may still work):`, e.message);
       }
       
-      // Execute automation steps (date range, lop, scroll)
-      const startDate = tabConf.startDate || null;
-      const endDate = tabConf.endDate || null;
-      const enableLop = tabConf.enableLop || false;
-      const enableScrollToBottom = tabConf.enableScrollToBottom || false;
+      // Sign-in, 2FA, consent or access-denied page instead of the report: alert and pause
+      const healthCheck = monitor.healthCheck !== false;
+      if (healthCheck) {
+        const health = await checkPageHealth(tabId);
+        if (health) {
+          await handleUnhealthyPage(monitor, tabId, health);
+          return;
+        }
+      }
       
-      // Only run automation if at least one feature is enabled
-      if (startDate && endDate || enableLop || enableScrollToBottom) {
-        console.log(`[JOB] 🚀 Running automation steps...`);
-        console.log(`[JOB] Config: date=${startDate && endDate ? 'Yes' : 'No'}, lop=${enableLop}, scroll=${enableScrollToBottom}`);
-        
+      // Page automation (date range, lop, scroll, Sheets export) as a declarative recipe
+      const { startDate, endDate } = resolveDateRange(monitor);
+      if (monitor.datePreset) {
+        console.log(`[JOB] 📅 Date preset "${monitor.datePreset}" resolved to ${startDate} → ${endDate}`);
+      }
+      
+      // Sheets export file name: fileName_DD-MM-YYYY_HH-mm (also used for the caption / Excel name)
+      let formattedFileName = null;
+      if (monitor.fileName) {
+        const now = new Date();
+        const day = String(now.getDate()).padStart(2, '0');
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const year = now.getFullYear();
+        const hours = String(now.getHours()).padStart(2, '0');
+        const minutes = String(now.getMinutes()).padStart(2, '0');
+        formattedFileName = `${monitor.fileName}_${day}-${month}-${year}_${hours}-${minutes}`;
+      }
+      
+      const recipe = getMonitorRecipe(monitor);
+      const downloadSince = Date.now();
+      const exportFormat = REPORT_EXPORT_FORMATS[monitor.exportMode];
+      if (exportFormat) {
+        blobsHeld = await runInTab(tabId, holdBlobUrls, [], 'MAIN').catch(err => {
+          console.warn('[DOWNLOAD] ⚠️ Could not hold blob URLs:', err.message);
+          return false;
+        });
+      }
+      // Export to Google Sheets: remember the open tabs to spot the spreadsheet tab it spawns
+      const exportsSheet = (monitor.exportMode || 'sheets') === 'sheets' && Boolean(monitor.fileName);
+      const knownTabIds = exportsSheet ? new Set((await chrome.tabs.query({})).map(t => t.id)) : null;
+      if (recipe.steps.length > 0) {
         // IMPORTANT: Focus tab before running automation
         // This ensures elements are rendered and interactive
         try {
@@ -593,97 +2327,101 @@ async function runJobForTab(tabId) {
           console.warn('[JOB] Could not focus tab for automation:', e.message);
         }
         
-        try {
-          await chrome.scripting.executeScript({
-            target: { tabId },
-            func: executeAutomationSteps,
-            args: [{
-              startDate: startDate,
-              endDate: endDate,
-              enableLop: enableLop,
-              enableScrollToBottom: enableScrollToBottom
-            }]
-          });
-          console.log(`[JOB] ✅ Automation steps executed successfully`);
-          
-          // CRITICAL: Wait extra time for data to load
-          // This is essential for slow networks
-          console.log(`[JOB] ⏳ Waiting for data to settle (5s)...`);
-          await sleep(5000);
-          console.log(`[JOB] ✅ Data should be ready now`);
-        } catch (err) {
-          console.warn('[JOB] ⚠️ Failed to execute automation steps:', err.message);
-          // If automation fails, still wait a bit for page to settle
-          await sleep(2000);
+        // Date inputs and menu labels follow the Google Ads UI language
+        const locale = await detectUiLocale(tabId, monitor);
+        console.log(`[JOB] 🌐 UI locale: ${locale.code} (dates as ${locale.dateFormat})`);
+        const recipeResult = await runRecipe(tabId, recipe, {
+          ...locale.labels,
+          exportFormatLabel: REPORT_EXPORT_FORMATS[monitor.exportMode]?.label || '',
+          startDate: startDate || '',
+          endDate: endDate || '',
+          startDateDisplay: formatLocaleDate(startDate, locale.dateFormat),
+          endDateDisplay: formatLocaleDate(endDate, locale.dateFormat),
+          fileName: formattedFileName || ''
+        });
+        recipeSteps = recipeResult.steps;
+        if (!recipeResult.ok) {
+          throw new Error(`Kịch bản tự động thất bại: ${recipeResult.error}`);
         }
+        
+        // CRITICAL: Wait extra time for data to settle (slow networks)
+        console.log(`[JOB] ⏳ Waiting for data to settle (3s)...`);
+        await sleep(3000);
       } else {
         console.log(`[JOB] ℹ️ No automation configured, skipping all steps`);
       }
       
-      // NEW STEP: Download Google Sheet if fileName is configured
-      const fileName = tabConf.fileName || null;
-      let formattedFileName = null; // Will be used for Telegram caption
-      
-      if (fileName) {
-        // Format fileName with current date and time: fileName_DD-MM-YYYY_HH-mm
-        const now = new Date();
-        const day = String(now.getDate()).padStart(2, '0');
-        const month = String(now.getMonth() + 1).padStart(2, '0');
-        const year = now.getFullYear();
-        const hours = String(now.getHours()).padStart(2, '0');
-        const minutes = String(now.getMinutes()).padStart(2, '0');
-        formattedFileName = `${fileName}_${day}-${month}-${year}_${hours}-${minutes}`;
-        
-        console.log(`[JOB] 📥 Downloading Google Sheet with name: "${formattedFileName}"`);
-        
-        // IMPORTANT: Focus tab before downloading (if not already focused from date filter)
-        if (!startDate || !endDate) {
-          try {
-            console.log(`[JOB] 🎯 Focusing tab ${tabId} for download interaction...`);
-            await safeFocusTab(tabId, 3);
-            await sleep(FOCUS_SWITCH_DELAY);
-            console.log(`[JOB] ✅ Tab ${tabId} is now active for download`);
-          } catch (e) {
-            console.warn('[JOB] Could not focus tab for download:', e.message);
-          }
+      // URL of the spreadsheet created by the export, posted as a button with the report
+      let sheetUrl = null;
+      if (exportsSheet && recipeSteps && exportStepsSucceeded(recipe, recipeSteps)) {
+        console.log('[JOB] 📄 Looking for the created Google Sheet...');
+        const sheet = await waitForCreatedSheet(tabId, knownTabIds);
+        if (sheet) {
+          sheetUrl = sheet.url;
+          console.log(`[JOB] ✅ Google Sheet: ${sheetUrl}`);
+          await closeSpawnedSheetTab(sheet.spawnedTabId, tabId);
         } else {
-          console.log(`[JOB] ℹ️ Tab already focused from date filter step`);
+          console.warn('[JOB] ⚠️ No Google Sheet tab or link found after export');
         }
-        
+      }
+      const runInfo = sheetUrl ? { ...logTag, sheetUrl } : logTag;
+      
+      // Report still empty once the date range is applied (or the session expired meanwhile)
+      if (healthCheck) {
+        const health = await checkPageHealth(tabId, { includeEmptyReport: true });
+        if (health) {
+          await handleUnhealthyPage(monitor, tabId, health);
+          return;
+        }
+      }
+      
+      // Report file exported by the recipe (CSV / XLSX); a missing file doesn't fail the job
+      let reportFile = null;
+      if (exportFormat) {
         try {
-          await chrome.scripting.executeScript({
-            target: { tabId },
-            func: downloadGoogleSheetFunction,
-            args: [formattedFileName]
-          });
-          console.log(`[JOB] ✅ Google Sheet download initiated successfully`);
-          
-          // Wait a bit longer for download to complete
-          await sleep(2000);
+          console.log(`[JOB] 📥 Waiting for ${exportFormat.extension} download...`);
+          const pageOrigin = getDownloadOrigin((await chrome.tabs.get(tabId)).url);
+          const item = await waitForReportDownload(monitor.exportMode, downloadSince, pageOrigin);
+          const blob = await readReportDownload(tabId, item);
+          const downloadedName = (item.filename || '').split(/[\\/]/).pop();
+          reportFile = { blob, fileName: formattedFileName ? `${formattedFileName}${exportFormat.extension}` : downloadedName || `report${exportFormat.extension}` };
+          console.log(`[JOB] ✅ Got report file ${reportFile.fileName} (${blob.size} bytes)`);
+          await discardReportDownload(item);
         } catch (err) {
-          console.warn('[JOB] ⚠️ Failed to download Google Sheet:', err.message);
-          // Continue anyway - don't fail the whole job
+          // The file (if any) stays in Downloads so nothing is lost
+          console.warn('[JOB] ⚠️ Report download not attached:', err.message);
+        } finally {
+          blobsHeld = false;
+          await runInTab(tabId, releaseBlobUrls, [], 'MAIN').catch(() => {});
         }
-      } else {
-        console.log(`[JOB] ℹ️ No file name configured, skipping Google Sheet download`);
+      }
+      
+      // Scrape report table (before capture so scrolling/focus changes don't interfere)
+      let excelBlob = null;
+      let scrapedRows = [];
+      try {
+        console.log(`[JOB] 📊 Scraping report table...`);
+        const [injection] = await chrome.scripting.executeScript({
+          target: { tabId },
+          func: scrapeDynamicTableData
+        });
+        scrapedRows = injection?.result || [];
+        console.log(`[JOB] 📊 Scraped ${scrapedRows.length} rows`);
+        excelBlob = buildExcelBlob(scrapedRows);
+      } catch (err) {
+        console.warn('[JOB] ⚠️ Failed to scrape table data:', err.message);
+        // Continue anyway - screenshot is still useful without Excel
       }
       
       // CRITICAL: Enqueue capture to prevent conflicts when multiple tabs capture simultaneously
-      const imageDataUrl = await enqueueCaptureJob(tabId, async () => {
-        // IMPORTANT: Focus tab ONLY before capture to avoid conflicts with other auto jobs
-        console.log(`[JOB] 🎯 Focusing tab ${tabId} for screenshot capture...`);
-        try {
-          await safeFocusTab(tabId, 3);
-          await sleep(FOCUS_SWITCH_DELAY); // Wait for tab to fully activate
-          console.log(`[JOB] ✅ Tab ${tabId} is now active and ready for capture`);
-        } catch (e) {
-          console.warn('[JOB] Could not focus tab before capture:', e.message);
-        }
+      const captures = await enqueueCaptureJob(tabId, async () => {
+        // No focus here: the offscreen capture works on background tabs, and the
+        // focus fallback in captureViewport() switches tabs only when it has to
         
         // Capture screenshot (with fallback)
         console.log(`[JOB] 📸 Capturing screenshot...`);
-        const imageDataUrl = await captureTab(tabId);
-        console.log(`[JOB] 📸 Screenshot captured successfully`);
+        const captures = await captureTab(tabId, monitor);
+        console.log(`[JOB] 📸 Screenshot captured successfully (${captures.length} image(s))`);
         
         // IMPORTANT: Restore original tab IMMEDIATELY after capture
         // This allows user to continue working while we send to Telegram in background
@@ -697,13 +2435,132 @@ async function runJobForTab(tabId) {
           }
         }
         
-        return imageDataUrl;
+        return captures;
       });
       
-      // Send to Telegram with custom caption (screenshot only, no Excel)
+      const images = await Promise.all(captures.map(async ({ dataUrl, fileName, label }) => ({
+        blob: await (await fetch(dataUrl)).blob(),
+        fileName,
+        label
+      })));
+      
+      // Only send on change: compare against the last sent report
+      const fingerprint = await computeFingerprint(images, scrapedRows);
+      let heartbeatRuns = 0;
+      if (monitor.onlySendOnChange) {
+        const threshold = Number(monitor.changeThreshold ?? DEFAULT_CHANGE_THRESHOLD);
+        const { changed, reason } = compareFingerprints(monitor.lastFingerprint, fingerprint, threshold);
+        if (!changed) {
+          const skippedRuns = (monitor.skippedRuns || 0) + 1;
+          const heartbeatAfter = Number(monitor.heartbeatAfter ?? DEFAULT_HEARTBEAT_AFTER);
+          if (!heartbeatAfter || skippedRuns < heartbeatAfter) {
+            console.log(`[JOB] 💤 Report unchanged (${reason}), skipping delivery (${skippedRuns} in a row)`);
+            await updateJobState(monitor, state => {
+              state.skippedRuns = skippedRuns;
+              delete state.lastHealthProblem;
+            });
+            await appendRunLog(monitor.id, { status: 'skipped', message: `Không thay đổi: ${reason}`, ...runInfo }, recipeSteps);
+            await resolveOperatorIncident(monitor);
+            chrome.action.setBadgeText({ text: '=', tabId });
+            chrome.action.setBadgeBackgroundColor({ color: '#9E9E9E', tabId });
+            break;
+          }
+          heartbeatRuns = skippedRuns;
+          console.log(`[JOB] 💓 Report unchanged for ${skippedRuns} runs, sending heartbeat`);
+        } else {
+          console.log(`[JOB] 🔀 Report changed: ${reason}`);
+        }
+      }
+      
+      // Visual diff against the last sent report
+      let outgoingImages = images;
+      if (monitor.diffMode === 'with' || monitor.diffMode === 'instead') {
+        try {
+          const diffs = await buildDiffImages(getJobStateKey(monitor), images);
+          outgoingImages = monitor.diffMode === 'instead'
+            ? images.map((image, i) => diffs[i] || image)
+            : [...images, ...diffs.filter(Boolean)];
+        } catch (err) {
+          console.warn('[JOB] ⚠️ Failed to build diff image:', err.message);
+        }
+      }
+      
+      // Deliver screenshot (+ Excel if scraped) to every destination
       // This runs in background after restoring user's tab
-      console.log(`[JOB] 📤 Sending screenshot to Telegram...`);
-      await sendToTelegram(botToken, chatId, imageDataUrl, null, formattedFileName);
+      const attachments = [];
+      if (reportFile) {
+        // Google Ads' own export already holds the raw data, the scraped workbook would duplicate it
+        attachments.push(reportFile);
+      } else if (excelBlob) {
+        attachments.push({ blob: excelBlob, fileName: `${formattedFileName || `report_${Date.now()}`}.xlsx` });
+      }
+      const tabInfo = await chrome.tabs.get(tabId).catch(() => ({}));
+      const now = new Date();
+      const builtCaption = buildCaption(monitor, {
+        title: tabInfo.title || '',
+        url: tabInfo.url || monitor.url || '',
+        date: now.toLocaleDateString('vi-VN'),
+        time: now.toLocaleTimeString('vi-VN', { hour: '2-digit', minute: '2-digit' }),
+        rangeStart: formatDisplayDate(startDate),
+        rangeEnd: formatDisplayDate(endDate),
+        account: getAccountLabel(monitor, tabInfo.url),
+        monitor: monitor.name || '',
+        fileName: formattedFileName || '',
+        sheetUrl: sheetUrl || ''
+      }, extractKpiValues(scrapedRows));
+      let { caption, plainCaption } = builtCaption;
+      const { parseMode } = builtCaption;
+      if (monitor.captionStepSummary && recipeSteps) {
+        const summaryLine = `\n🧩 ${summarizeRecipeSteps(recipeSteps)}`;
+        caption += escapeCaptionValue(summaryLine, parseMode);
+        plainCaption += summaryLine;
+      }
+      if (heartbeatRuns) {
+        const heartbeatLine = `💓 Không có thay đổi sau ${heartbeatRuns} lần chạy\n`;
+        caption = escapeCaptionValue(heartbeatLine, parseMode) + caption;
+        plainCaption = heartbeatLine + plainCaption;
+      }
+      
+      console.log(`[JOB] 📤 Sending screenshot${attachments.length ? ` + ${attachments.map(a => a.fileName).join(', ')}` : ''} to ${destinations.length} destination(s)...`);
+      const buttons = sheetUrl ? [{ text: '📄 Mở Google Sheet', url: sheetUrl }] : [];
+      const payload = { images: outgoingImages, asAlbum: monitor.regionDelivery !== 'separate', attachments, buttons, caption, plainCaption, parseMode, monitor, capturedAt: Date.now() };
+      const deliveryResults = await deliverToDestinations(destinations, payload);
+      
+      // Undelivered payloads go to the outbox instead of being lost
+      // (the capture itself succeeded, so the job is not retried)
+      const failed = deliveryResults.filter(r => !r.ok);
+      for (const result of failed) {
+        const dest = destinations.find(d => d.id === result.destinationId);
+        try {
+          await enqueueOutbox(dest, payload, result.error, result.progress);
+          result.queued = true;
+        } catch (e) {
+          console.error(`[JOB] ❌ Could not queue undelivered report for ${result.label}:`, e);
+        }
+      }
+      await updateJobState(monitor, state => {
+        state.lastDelivery = deliveryResults;
+        state.lastFingerprint = fingerprint;
+        state.skippedRuns = 0;
+        delete state.lastHealthProblem;
+      });
+      if (monitor.diffMode === 'with' || monitor.diffMode === 'instead') {
+        await savePreviousCapture(getJobStateKey(monitor), images).catch(err => console.warn('[DIFF] ⚠️ Could not store capture:', err.message));
+      }
+      await appendRunLog(monitor.id, failed.length > 0
+        ? { status: 'queued', message: `${failed.length}/${deliveryResults.length} đích gửi lỗi, đã đưa vào hàng chờ: ${failed.map(r => r.label).join(', ')}`, ...runInfo }
+        : { status: heartbeatRuns ? 'heartbeat' : 'sent', message: `Đã gửi ${outgoingImages.length} ảnh tới ${deliveryResults.length} đích`, ...runInfo },
+        recipeSteps);
+      
+      // The capture worked; undelivered copies are the outbox's business, not an incident
+      await resolveOperatorIncident(monitor);
+      
+      if (failed.length > 0) {
+        console.warn(`[JOB] ⚠️ ${failed.length}/${deliveryResults.length} destination(s) failed, queued for later: ${failed.map(r => r.label).join(', ')}`);
+        chrome.action.setBadgeText({ text: '⏳', tabId });
+        chrome.action.setBadgeBackgroundColor({ color: '#FF9800', tabId });
+        break;
+      }
       
       console.log(`[JOB] ✅ Job completed successfully for tab ${tabId}`);
       
@@ -735,773 +2592,1039 @@ async function runJobForTab(tabId) {
           } catch (e) {}
         }
         console.error(`[JOB] ❌ All ${DEFAULT_RETRY + 1} attempts failed for tab ${tabId}`);
+        await appendRunLog(monitor.id, { status: 'failed', message: err.message, ...logTag }, recipeSteps);
+        await reportJobFailure(monitor, tabId, err, DEFAULT_RETRY + 1, recipeSteps)
+          .catch(e => console.error('[OPERATOR] ❌ Failure report not sent:', e.message));
       } else {
         // Wait before retry
         await sleep(800 + attempt * 400);
       }
+    } finally {
+      // The recipe or a health check stopped the run before the download was read
+      if (blobsHeld) await runInTab(tabId, releaseBlobUrls, [], 'MAIN').catch(() => {});
     }
   }
 }
 
-// ---- Page Automation Steps (injected into page) ----
-// This function is injected and runs IN THE PAGE CONTEXT
-
-// Main orchestrator function - define execution order here
-async function executeAutomationSteps(config) {
-  // Helper functions - must be self-contained
+// ---- Recipe Interpreter (injected into page) ----
+// This function is injected and runs IN THE PAGE CONTEXT - must be self-contained
+async function runRecipeInPage(recipe, params) {
   const delay = ms => new Promise(r => setTimeout(r, ms));
+  const fill = value => typeof value === 'string'
+    ? value.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => params[key] ?? '')
+    : value;
+  const asList = value => (Array.isArray(value) ? value : [value]).map(fill);
+  const isVisible = el => el.offsetParent !== null || el.getClientRects().length > 0;
   
-  async function waitForElement(selector, timeout = 15000) {
-    return new Promise((resolve, reject) => {
-      const existing = document.querySelector(selector);
-      if (existing) {
-        resolve(existing);
+  // Selector that matched in the current step, reported back with the step result
+  let matchedSelector = null;
+  
+  // First match over the selector alternatives; `text` narrows by content, visible elements win
+  function findElement(step) {
+    const text = step.text ? fill(step.text) : null;
+    for (const selector of asList(step.selector || 'body')) {
+      let candidates = Array.from(document.querySelectorAll(selector));
+      if (text) candidates = candidates.filter(el => el.textContent.trim().includes(text));
+      const element = candidates.find(isVisible) || candidates[0];
+      if (element) {
+        matchedSelector = selector;
+        return element;
+      }
+    }
+    return null;
+  }
+  
+  async function waitForElement(step, timeout) {
+    const t0 = Date.now();
+    while (Date.now() - t0 < timeout) {
+      const element = findElement(step);
+      if (element) return element;
+      await delay(200);
+    }
+    throw new Error(`Không tìm thấy ${asList(step.selector || 'body').join(' | ')}${step.text ? ` chứa "${fill(step.text)}"` : ''} sau ${timeout}ms`);
+  }
+  
+  function setValue(input, value) {
+    input.focus();
+    input.value = '';
+    input.value = value;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    input.blur();
+  }
+  
+  const handlers = {
+    async 'click'(step, timeout) {
+      const element = await waitForElement(step, timeout);
+      element.click();
+      if (step.mouseEvents) {
+        // Some Material buttons only react to a full pointer sequence
+        for (const type of ['mousedown', 'mouseup', 'click']) {
+          await delay(50);
+          element.dispatchEvent(new MouseEvent(type, { bubbles: true, cancelable: true }));
+        }
+      }
+    },
+    
+    async 'type'(step, timeout) {
+      const element = await waitForElement(step, timeout);
+      const input = element.matches('input, textarea') ? element : element.querySelector('input, textarea');
+      if (!input) throw new Error('Phần tử không phải ô nhập liệu');
+      setValue(input, fill(String(step.value)));
+    },
+    
+    async 'select-option'(step, timeout) {
+      const text = fill(step.text);
+      const element = await waitForElement(step, timeout);
+      if (element.tagName === 'SELECT') {
+        const option = Array.from(element.options).find(o => o.value === text || o.textContent.trim().includes(text));
+        if (!option) throw new Error(`Không có lựa chọn "${text}"`);
+        element.value = option.value;
+        element.dispatchEvent(new Event('change', { bubbles: true }));
         return;
       }
-      
-      const observer = new MutationObserver((mutations, obs) => {
-        const el = document.querySelector(selector);
-        if (el) {
-          obs.disconnect();
-          resolve(el);
+      const selected = element.matches('[aria-checked="true"], [aria-selected="true"]') ||
+                       element.querySelector('[aria-checked="true"], [aria-selected="true"]');
+      if (step.skipIfSelected && selected) return 'already selected';
+      element.click();
+    },
+    
+    async 'wait-for-selector'(step, timeout) {
+      if (step.state !== 'absent') {
+        await waitForElement(step, timeout);
+        return;
+      }
+      const t0 = Date.now();
+      while (findElement(step)) {
+        if (Date.now() - t0 > timeout) throw new Error(`${asList(step.selector).join(' | ')} vẫn còn sau ${timeout}ms`);
+        await delay(200);
+      }
+    },
+    
+    // Wait until the loading indicator has come and gone, or never showed up within `quiet` ms
+    async 'wait-for-idle'(step, timeout) {
+      const selector = asList(step.selector || 'material-progress, [role="progressbar"]').join(', ');
+      const quiet = step.quiet ?? 3000;
+      const t0 = Date.now();
+      let seen = false;
+      let idleSince = Date.now();
+      while (Date.now() - t0 < timeout) {
+        if (document.querySelector(selector)) {
+          seen = true;
+          idleSince = Date.now();
+        } else if (seen || Date.now() - idleSince >= quiet) {
+          return seen ? 'loaded' : 'no indicator';
         }
-      });
-      
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true
-      });
-      
-      setTimeout(() => {
-        observer.disconnect();
-        reject(new Error(`Element ${selector} not found after ${timeout}ms`));
-      }, timeout);
-    });
-  }
+        await delay(200);
+      }
+      if (seen) throw new Error(`Trang vẫn đang tải sau ${timeout}ms`);
+    },
+    
+    async 'scroll-container'(step) {
+      const container = findElement({ selector: step.selector || [] }) || document.scrollingElement;
+      const max = container.scrollHeight - container.clientHeight;
+      const target = step.to === 'top' ? 0 : step.to === 'bottom' || step.to === undefined ? max : Number(fill(String(step.to)));
+      if (step.mode === 'wheel') {
+        // Wheel events trigger the page's own lazy loading, unlike setting scrollTop
+        const distance = target - container.scrollTop;
+        const deltaPerEvent = 500;
+        const count = Math.ceil(Math.abs(distance) / deltaPerEvent) + 10;
+        for (let i = 0; i < count; i++) {
+          container.dispatchEvent(new WheelEvent('wheel', { deltaY: Math.sign(distance) * deltaPerEvent, bubbles: true, cancelable: true }));
+          if (i % 5 === 0 && i > 0) await delay(50);
+        }
+      }
+      container.scrollTop = target;
+      return `${Math.round(container.scrollTop)}/${max}px`;
+    },
+    
+    async 'assert-text'(step, timeout) {
+      await waitForElement(step, timeout);
+    },
+    
+    async 'delay'(step) {
+      await delay(Number(step.ms) || 0);
+    }
+  };
   
-  async function retry(fn, retries = 3, delayMs = 1000) {
-    for (let i = 0; i < retries; i++) {
+  console.log(`[RECIPE] 🚀 ${recipe.name || 'Recipe'}: ${recipe.steps.length} step(s)`);
+  const results = [];
+  
+  for (let index = 0; index < recipe.steps.length; index++) {
+    const step = recipe.steps[index];
+    const label = step.label || step.type;
+    const required = step.required ?? !step.optional;
+    const t0 = Date.now();
+    matchedSelector = null;
+    
+    if (step.when && !params[step.when]) {
+      results.push({ index, type: step.type, label, status: 'skipped', required, ms: 0 });
+      continue;
+    }
+    
+    const attempts = 1 + (step.retries || 0);
+    let error = null;
+    let detail;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
       try {
-        return await fn();
+        detail = await handlers[step.type](step, step.timeout ?? 10000);
+        error = null;
+        break;
       } catch (e) {
-        console.warn(`[RETRY] Attempt ${i + 1}/${retries} failed:`, e.message);
-        if (i === retries - 1) throw e;
-        await delay(delayMs * (i + 1));
+        error = e;
+        console.warn(`[RECIPE] ${label} attempt ${attempt}/${attempts} failed:`, e.message);
+        if (attempt < attempts) await delay(1000 * attempt);
       }
     }
+    
+    if (step.delay) await delay(step.delay);
+    const entry = { index, type: step.type, label, status: error ? 'failed' : 'ok', required, ms: Date.now() - t0 };
+    const tried = matchedSelector || (step.selector ? asList(step.selector).join(' | ') : null);
+    if (tried) entry.selector = tried;
+    if (error) entry.error = error.message;
+    if (typeof detail === 'string') entry.detail = detail;
+    results.push(entry);
+    
+    if (error && required) {
+      console.error(`[RECIPE] ❌ Required step "${label}" failed, stopping`);
+      return { ok: false, error: `${label}: ${error.message}`, steps: results };
+    }
   }
   
-  // ========== STEP FUNCTIONS ==========
+  console.log('[RECIPE] ✅ Recipe completed');
+  return { ok: true, steps: results };
+}
+
+// ---- Scrape Table Data (injected into page) ----
+// Returns an array of arrays (first row = headers), ready for XLSX.utils.aoa_to_sheet
+function scrapeDynamicTableData() {
+  const cleanText = (el) => (el?.innerText ?? el?.textContent ?? '').replace(/\s+/g, ' ').trim();
   
-  // Step 0: Wait for page to be ready
-  async function stepWaitForPageReady() {
-    console.log('[STEP-0] ⏳ Waiting for Angular UI to be fully rendered...');
-    try {
-      const dropdownButton = await waitForElement(
-        'dropdown-button.menu-trigger.primary-range .button, dropdown-button.primary-range .button, .date-range .button',
-        20000
-      );
-      
-      if (dropdownButton) {
-        console.log('[STEP-0] ✅ UI fully rendered - dropdown button detected');
-        await delay(2000);
-      } else {
-        console.log('[STEP-0] ⚠️ Dropdown button not found, but continuing with extra delay...');
-        await delay(3000);
+  // Method 1: Google Ads particle table (header cells and row cells share the same essfield)
+  const header = document.querySelector('.particle-table-header');
+  if (header) {
+    const headerCells = Array.from(header.querySelectorAll('[essfield]'));
+    const fields = headerCells.map(cell => cell.getAttribute('essfield'));
+    
+    if (fields.length > 0) {
+      const tableRoot = header.closest('ess-table, .ess-table-wrapper') || header.parentElement || document;
+      const rowEls = Array.from(tableRoot.querySelectorAll('.particle-table-row, [role="row"]'))
+        .filter(row => !header.contains(row) && !row.contains(header));
+      
+      const rows = [headerCells.map(cleanText)];
+      for (const rowEl of rowEls) {
+        const values = fields.map(field => cleanText(rowEl.querySelector(`[essfield="${CSS.escape(field)}"]`)));
+        if (values.some(v => v !== '')) rows.push(values);
       }
-    } catch (e) {
-      console.warn('[STEP-0] ⚠️ UI check failed:', e.message);
-      console.log('[STEP-0] ⏳ Adding extra 5 second delay for slow loading...');
-      await delay(5000);
+      
+      console.log(`[SCRAPE] ✅ Particle table: ${rows.length - 1} rows, ${fields.length} columns`);
+      return rows;
     }
   }
   
-  // Step 1: Apply date range filter
-  async function stepApplyDateRange(startDateStr, endDateStr) {
-    if (!startDateStr || !endDateStr) {
-      console.log('[STEP-1] ℹ️ No date range provided, skipping');
-      return;
-    }
-    
-    console.log('[STEP-1] 📅 Applying date range filter...');
-    
+  // Method 2: Fallback to the first regular <table>
+  const table = document.querySelector('table');
+  if (!table) {
+    console.warn('[SCRAPE] ⚠️ No table found on page');
+    return [];
+  }
+  
+  const rows = [];
+  const headRow = table.querySelector('thead tr');
+  if (headRow) {
+    rows.push(Array.from(headRow.querySelectorAll('th, td')).map(cleanText));
+  }
+  
+  const bodyRows = table.querySelectorAll(headRow ? 'tbody tr' : 'tr');
+  for (const tr of bodyRows) {
+    const values = Array.from(tr.querySelectorAll('th, td')).map(cleanText);
+    if (values.some(v => v !== '')) rows.push(values);
+  }
+  
+  console.log(`[SCRAPE] ✅ Fallback <table>: ${rows.length} rows`);
+  return rows;
+}
+
+// ---- Capture Anchor (injected into page) ----
+// Scrolls the anchored element into view and returns its rect clipped to the viewport
+// (`scrolled` tells the caller an earlier screenshot no longer matches the page)
+async function resolveCaptureAnchor(selector) {
+  let el = null;
+  try {
+    el = document.querySelector(selector);
+  } catch (e) {
+    return null;
+  }
+  if (!el) return null;
+
+  let box = el.getBoundingClientRect();
+  if (box.width === 0 || box.height === 0) return null;
+
+  let scrolled = false;
+  if (box.top < 0 || box.bottom > window.innerHeight || box.left < 0 || box.right > window.innerWidth) {
+    el.scrollIntoView({ block: box.height > window.innerHeight ? 'start' : 'nearest', inline: 'nearest' });
+    await new Promise(r => setTimeout(r, 300));
+    box = el.getBoundingClientRect();
+    scrolled = true;
+  }
+
+  const x = Math.max(0, box.left);
+  const y = Math.max(0, box.top);
+  const width = Math.min(window.innerWidth, box.right) - x;
+  const height = Math.min(window.innerHeight, box.bottom) - y;
+  if (width <= 0 || height <= 0) return null;
+
+  return {
+    region: { x: Math.round(x), y: Math.round(y), width: Math.round(width), height: Math.round(height) },
+    dpr: window.devicePixelRatio || 1,
+    scrolled
+  };
+}
+
+// ---- Redaction Anchors (injected into page) ----
+// For each selector (or null) returns { rects, dpr } of every visible match, or null when nothing matches
+function measureRedactionAnchors(selectors) {
+  const dpr = window.devicePixelRatio || 1;
+  return selectors.map(selector => {
+    if (!selector) return null;
+    let elements = [];
     try {
-      await retry(async () => {
-        console.log(`[STEP-1] Setting date range: ${startDateStr} to ${endDateStr}`);
-        
-        // Find and click dropdown button
-        const dropdownBtn = await waitForElement('dropdown-button.menu-trigger.primary-range .button', 10000) ||
-                            await waitForElement('dropdown-button.primary-range .button', 5000) ||
-                            await waitForElement('.date-range .button', 5000);
-        
-        if (!dropdownBtn) throw new Error('Dropdown button not found');
-        
-        console.log('[STEP-1] ✅ Dropdown button found');
-        await delay(2000);
-        
-        dropdownBtn.click();
-        await delay(800);
-        
-        // Wait for date inputs
-        const startInput = await waitForElement('material-input.start.date-input input', 3000);
-        if (!startInput) throw new Error('Start date input not found');
-        
-        const endInput = document.querySelector('material-input.end.date-input input') ||
-                        document.querySelector('.end.date-input input');
-        if (!endInput) throw new Error('End date input not found');
-        
-        console.log('[STEP-1] ✅ Date picker opened');
-        
-        // Format date helper
-        const formatDate = (dateStr) => {
-          const [year, month, day] = dateStr.split('-');
-          return `${parseInt(day)}/${parseInt(month)}/${year}`;
-        };
-        
-        // Fill start date
-        startInput.focus();
-        await delay(100);
-        startInput.value = formatDate(startDateStr);
-        startInput.dispatchEvent(new Event('input', { bubbles: true }));
-        startInput.dispatchEvent(new Event('change', { bubbles: true }));
-        startInput.blur();
-        await delay(300);
-        
-        console.log(`[STEP-1] ✅ Filled start date: ${formatDate(startDateStr)}`);
-        
-        // Fill end date
-        endInput.focus();
-        await delay(100);
-        endInput.value = formatDate(endDateStr);
-        endInput.dispatchEvent(new Event('input', { bubbles: true }));
-        endInput.dispatchEvent(new Event('change', { bubbles: true }));
-        endInput.blur();
-        await delay(300);
-        
-        console.log(`[STEP-1] ✅ Filled end date: ${formatDate(endDateStr)}`);
-        
-        // Click apply button
-        const applyBtn = await waitForElement('material-button.apply', 3000);
-        if (!applyBtn) throw new Error('Apply button not found');
-        
-        applyBtn.click();
-        await delay(600);
-        console.log('[STEP-1] ✅ Clicked "Áp dụng" button');
-      }, 2, 800);
+      elements = Array.from(document.querySelectorAll(selector));
     } catch (e) {
-      console.warn('[STEP-1] ⚠️ Failed to set date range:', e.message);
+      return null;
+    }
+    const rects = elements
+      .map(el => el.getBoundingClientRect())
+      .filter(box => box.width > 0 && box.height > 0 && box.bottom > 0 && box.top < window.innerHeight)
+      .map(box => ({ x: box.left, y: box.top, width: box.width, height: box.height }));
+    return elements.length > 0 ? { rects, dpr } : null;
+  });
+}
+
+// Scroll offset of the page content: window scroll plus the Google Ads scroll containers
+// (the same candidates full-page capture scrolls)
+function measurePageScroll() {
+  const containers = new Set([
+    document.querySelector('awsm-child-content'),
+    document.querySelector('.awsm-content'),
+    document.querySelector('.awsm-nav-bar-and-content')
+  ].filter(Boolean));
+  let x = window.scrollX;
+  let y = window.scrollY;
+  containers.forEach(el => {
+    x += el.scrollLeft;
+    y += el.scrollTop;
+  });
+  return { x, y };
+}
+
+// What lies under a drawn redaction: 'pinned' (fixed/sticky UI, or outside the Google Ads scroll
+// containers, e.g. the header with the account switcher), 'scrolling' or 'mixed'; null if unknown.
+// Samples the centre and the corners; the selection overlays (#__my_…) are skipped.
+function classifyRedactionRect(region) {
+  const containers = [
+    document.querySelector('awsm-child-content'),
+    document.querySelector('.awsm-content'),
+    document.querySelector('.awsm-nav-bar-and-content')
+  ].filter(Boolean);
+  const isPinnedAt = (x, y) => {
+    const el = document.elementsFromPoint(x, y).find(node => !node.closest('[id^="__my_"]'));
+    if (!el) return null;
+    for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+      const position = getComputedStyle(node).position;
+      if (position === 'fixed' || position === 'sticky') return true;
+      if (containers.includes(node)) return false;
     }
+    // Outside the containers: the Google Ads body itself doesn't scroll; a plain page scrolls the window
+    return containers.length > 0;
+  };
+
+  const inset = 2;
+  const left = Math.max(0, region.x + inset);
+  const top = Math.max(0, region.y + inset);
+  const right = Math.min(window.innerWidth - 1, region.x + region.width - inset);
+  const bottom = Math.min(window.innerHeight - 1, region.y + region.height - inset);
+  const points = [
+    [(left + right) / 2, (top + bottom) / 2],
+    [left, top], [right, top], [left, bottom], [right, bottom]
+  ];
+  const results = points.map(([x, y]) => isPinnedAt(x, y)).filter(result => result !== null);
+  if (results.length === 0) return null;
+  if (results.every(Boolean)) return 'pinned';
+  return results.some(Boolean) ? 'mixed' : 'scrolling';
+}
+
+// ---- Download Reader (injected into page) ----
+// This function is injected and runs IN THE PAGE CONTEXT - must be self-contained
+async function fetchAsDataUrl(url) {
+  try {
+    const response = await fetch(url, { credentials: 'include' });
+    if (!response.ok) return null;
+    const blob = await response.blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  } catch (e) {
+    return null;
   }
+}
+
+// Injected into the MAIN world before the export: Google Ads revokes the blob: URL of a generated
+// file right after starting the download, so revocations are held until releaseBlobUrls
+function holdBlobUrls() {
+  const previous = window.__autoToolHeldBlobs;
+  if (previous) {
+    // Left over from a run that never released: free its blobs and start a fresh list
+    previous.urls.forEach(url => previous.revoke.call(URL, url));
+    previous.urls = [];
+    return true;
+  }
+  const state = { urls: [], revoke: URL.revokeObjectURL };
+  window.__autoToolHeldBlobs = state;
+  URL.revokeObjectURL = (url) => { state.urls.push(url); };
+  return true;
+}
+
+function releaseBlobUrls() {
+  const state = window.__autoToolHeldBlobs;
+  if (!state) return 0;
+  URL.revokeObjectURL = state.revoke;
+  state.urls.forEach(url => state.revoke.call(URL, url));
+  delete window.__autoToolHeldBlobs;
+  return state.urls.length;
+}
+
+// ---- Spreadsheet Link (injected into page) ----
+// This function is injected and runs IN THE PAGE CONTEXT - must be self-contained
+function findSpreadsheetLink() {
+  const links = Array.from(document.querySelectorAll('a[href*="docs.google.com/spreadsheets/d/"]'));
+  return links.length > 0 ? links[links.length - 1].href : null;
+}
+
+// ---- Page Health Inspection (injected into page) ----
+// This function is injected and runs IN THE PAGE CONTEXT - must be self-contained
+function inspectPageHealth(includeEmptyReport) {
+  const text = (document.body?.innerText || '').substring(0, 20000).toLowerCase();
+  const find = phrases => phrases.find(phrase => text.includes(phrase));
   
-  // Step 2: Wait for data to load
-  async function stepWaitForDataLoad() {
-    console.log('[STEP-2] ⏳ Waiting for data to load...');
+  // Vietnamese and English Google wording
+  const checks = [
+    ['two-factor', () => find(['xác minh 2 bước', '2-step verification', 'xác minh đó là bạn', 'verify it’s you', "verify it's you"])],
+    ['login', () => document.querySelector('input[type="password"], input[type="email"][name="identifier"]') && find(['đăng nhập', 'sign in'])],
+    ['access-denied', () => find(['bạn không có quyền truy cập', 'không có quyền truy cập vào tài khoản', "you don't have access", 'you don’t have access', 'access denied'])],
+    // Only Google Ads report pages have a known "no data" state
+    ['empty-report', () => includeEmptyReport && location.hostname === 'ads.google.com' &&
+      !document.querySelector('.particle-table-row') &&
+      find(['không có dữ liệu', 'no data to display', "there's no data", 'there’s no data'])]
+  ];
+  for (const [problem, check] of checks) {
+    const detail = check();
+    if (detail) return { problem, detail: typeof detail === 'string' ? detail : problem };
+  }
+  return null;
+}
+
+// ---- Full-Page Capture Helpers (injected into page) ----
+// The scroll container is tagged with data-autotool-scroll so the following calls find it again.
+// Fixed/sticky elements are found once here (getComputedStyle on every node is slow on big Ads tables)
+// and tagged with data-autotool-sticky; later slices only hide the tagged ones.
+function prepareFullPageCapture() {
+  const candidates = [
+    document.querySelector('awsm-child-content'),
+    document.querySelector('.awsm-content'),
+    document.querySelector('.awsm-nav-bar-and-content')
+  ];
+  const container = candidates.find(el => el && el.scrollHeight > el.clientHeight + 10);
+
+  document.querySelectorAll('[data-autotool-scroll]').forEach(el => el.removeAttribute('data-autotool-scroll'));
+  document.querySelectorAll('[data-autotool-sticky]').forEach(el => el.removeAttribute('data-autotool-sticky'));
+
+  const tagSticky = (scope) => {
+    for (const el of scope.querySelectorAll('*')) {
+      const position = getComputedStyle(el).position;
+      if (position === 'sticky' || position === 'fixed') el.setAttribute('data-autotool-sticky', '');
+    }
+  };
+
+  if (container) {
+    tagSticky(container);
+    container.setAttribute('data-autotool-scroll', '1');
+    container.dataset.autotoolScrollTop = String(container.scrollTop);
+    const box = container.getBoundingClientRect();
+    return {
+      container: container.tagName.toLowerCase(),
+      scrollHeight: container.scrollHeight,
+      clientHeight: container.clientHeight,
+      rect: { x: box.left + container.clientLeft, y: box.top + container.clientTop, width: container.clientWidth, height: container.clientHeight },
+      dpr: window.devicePixelRatio || 1
+    };
+  }
+
+  // Regular page: the document itself scrolls
+  const root = document.scrollingElement || document.documentElement;
+  tagSticky(document.body);
+  root.setAttribute('data-autotool-scroll', 'document');
+  root.dataset.autotoolScrollTop = String(root.scrollTop);
+  return {
+    container: 'document',
+    scrollHeight: root.scrollHeight,
+    clientHeight: root.clientHeight,
+    rect: { x: 0, y: 0, width: root.clientWidth, height: root.clientHeight },
+    dpr: window.devicePixelRatio || 1
+  };
+}
+
+async function scrollFullPageContainer(top, hideSticky) {
+  const container = document.querySelector('[data-autotool-scroll]');
+  if (!container) return top;
+
+  if (hideSticky) {
+    for (const el of document.querySelectorAll('[data-autotool-sticky]:not([data-autotool-hidden])')) {
+      el.setAttribute('data-autotool-hidden', el.style.visibility || '');
+      el.style.visibility = 'hidden';
+    }
+  }
+
+  container.scrollTop = top;
+  // Give virtualized tables / lazy content time to render the new rows
+  await new Promise(r => setTimeout(r, 400));
+  return container.scrollTop;
+}
+
+function finishFullPageCapture() {
+  document.querySelectorAll('[data-autotool-hidden]').forEach(el => {
+    el.style.visibility = el.getAttribute('data-autotool-hidden');
+    el.removeAttribute('data-autotool-hidden');
+  });
+  document.querySelectorAll('[data-autotool-sticky]').forEach(el => el.removeAttribute('data-autotool-sticky'));
+  const container = document.querySelector('[data-autotool-scroll]');
+  if (container) {
+    container.scrollTop = Number(container.dataset.autotoolScrollTop) || 0;
+    container.removeAttribute('data-autotool-scroll');
+    delete container.dataset.autotoolScrollTop;
+  }
+  return true;
+}
+
+// ---- Monitors (persistent jobs keyed by a stable ID + target URL) ----
+// Tab IDs change after a restart or crash, so settings and alarms are keyed by monitor ID.
+// monitor = { id, name, url, tabId, chatId, destinations, schedule, isAutoRunning, captureRegions, redactions, captureMode, accounts, ... }
+// `tabId` is only a runtime binding and is re-resolved from `url` when it goes stale.
+const MONITOR_URL_KEY_PARAMS = ['ocid', '__c']; // Google Ads account parameters
+const STARTUP_REATTACH_DELAY = 5000; // ms đợi session restore mở lại các tab
+
+function generateMonitorId() {
+  return `mon_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+async function getMonitors() {
+  const { monitors } = await chrome.storage.local.get('monitors');
+  return monitors || {};
+}
+
+async function getMonitor(monitorId) {
+  const monitors = await getMonitors();
+  return monitors[monitorId] || null;
+}
+
+async function findMonitorByTab(tabId) {
+  const monitors = await getMonitors();
+  return Object.values(monitors).find(m => m.tabId === tabId) || null;
+}
+
+// Apply `updateFn(monitor)` under the storage lock; returns the updated monitor
+function updateMonitor(monitorId, updateFn) {
+  return safeStorageWrite(async () => {
+    const monitors = await getMonitors();
+    const monitor = monitors[monitorId];
+    if (!monitor) throw new Error(`Monitor ${monitorId} not found`);
+    await updateFn(monitor);
+    await chrome.storage.local.set({ monitors });
+    return monitor;
+  });
+}
+
+// Find the monitor bound to a tab, else bind an unattached monitor whose URL matches,
+// else (if `create`) create one targeting the tab's current URL
+function getOrCreateMonitorForTab(tabId, create = true) {
+  return safeStorageWrite(async () => {
+    const monitors = await getMonitors();
+    const existing = Object.values(monitors).find(m => m.tabId === tabId);
+    if (existing) return existing;
     
-    try {
-      await retry(async () => {
-        const progSel = 'material-progress,[role="progressbar"]';
-        let seen = false;
-        let noProgressCounter = 0;
-        const t0 = Date.now();
-        
-        while (Date.now() - t0 < 10000) {
-          const p = document.querySelector(progSel);
-          if (p) {
-            seen = true;
-            noProgressCounter = 0;
-            await delay(200);
-            continue;
-          }
-          
-          if (seen) {
-            console.log('[STEP-2] ✅ Data loaded (progress indicator hidden)');
-            await delay(500);
-            return;
-          }
-          
-          noProgressCounter++;
-          if (noProgressCounter > 15) {
-            console.log('[STEP-2] ℹ️ No progress indicator found after 3s, assuming data ready');
-            return;
-          }
-          
-          await delay(200);
-        }
-        
-        if (!seen) {
-          console.log('[STEP-2] ⚠️ Progress timeout, proceeding anyway...');
-          return;
-        }
-        
-        throw new Error('Data loading timeout after 10s');
-      }, 2, 1000);
+    const tab = await chrome.tabs.get(tabId);
+    const unattached = Object.values(monitors).find(m =>
+      m.tabId == null && urlMatchesMonitor(tab.url || tab.pendingUrl, m.url, getMonitorAccounts(m).length > 0)
+    );
+    if (unattached) {
+      unattached.tabId = tabId;
+      await chrome.storage.local.set({ monitors });
+      console.log(`[MONITOR] 🔗 Bound monitor ${unattached.id} to tab ${tabId}`);
+      return unattached;
+    }
+    if (!create) return null;
+    
+    const monitor = {
+      id: generateMonitorId(),
+      name: (tab.title || 'Monitor').substring(0, 40),
+      url: tab.url || tab.pendingUrl,
+      tabId,
+      createdAt: Date.now()
+    };
+    monitors[monitor.id] = monitor;
+    await chrome.storage.local.set({ monitors });
+    console.log(`[MONITOR] ➕ Created monitor ${monitor.id} for tab ${tabId}: ${monitor.url}`);
+    return monitor;
+  });
+}
+
+// Same page = same origin + path and the same Google Ads account (ocid / __c).
+// Multi-account monitors move their tab between accounts, so only the page has to match.
+function urlMatchesMonitor(tabUrl, monitorUrl, anyAccount = false) {
+  if (!tabUrl || !monitorUrl) return false;
+  if (tabUrl === monitorUrl) return true;
+  try {
+    const tab = new URL(tabUrl);
+    const target = new URL(monitorUrl);
+    if (tab.origin !== target.origin || tab.pathname !== target.pathname) return false;
+    if (anyAccount) return true;
+    return MONITOR_URL_KEY_PARAMS.every(key =>
+      !target.searchParams.has(key) || tab.searchParams.get(key) === target.searchParams.get(key)
+    );
+  } catch (e) {
+    return false;
+  }
+}
+
+// Resolve the tab for a monitor: keep the current binding if still valid,
+// else re-attach to a matching open tab, else open the URL in a new background tab
+async function attachMonitorTab(monitorId) {
+  const monitors = await getMonitors();
+  const monitor = monitors[monitorId];
+  if (!monitor) throw new Error(`Monitor ${monitorId} not found`);
+  const anyAccount = getMonitorAccounts(monitor).length > 0;
+  
+  if (monitor.tabId != null) {
+    try {
+      const tab = await chrome.tabs.get(monitor.tabId);
+      if (urlMatchesMonitor(tab.url || tab.pendingUrl, monitor.url, anyAccount)) return tab.id;
+      console.warn(`[MONITOR] ⚠️ Tab ${tab.id} no longer shows ${monitor.url}, re-attaching...`);
     } catch (e) {
-      console.warn('[STEP-2] ⚠️ Failed waiting for progress:', e.message);
+      console.warn(`[MONITOR] ⚠️ Tab ${monitor.tabId} for monitor ${monitorId} is gone, re-attaching...`);
     }
   }
   
-  // Step 3: Apply Lop (Layer) selection
-  async function stepApplyLop() {
-    console.log('[STEP-3] 🔄 Applying Lop (Layer) selection...');
-    
-    try {
-      // Wait for "Lớp" button
-      const lopButton = await waitForElement('layers material-button.btn', 10000)
-        .catch(() => document.querySelector('material-button[aria-label="Lớp"]'))
-        .catch(() => document.querySelector('material-button .icon[icon="layers"]')?.closest('material-button'));
-      
-      if (!lopButton) {
-        console.warn('[STEP-3] ⚠️ Lop button not found');
-        return;
-      }
-      
-      console.log('[STEP-3] ✅ "Lớp" button found');
-      await delay(2000);
-      
-      lopButton.click();
-      await delay(1500);
-      
-      // Wait for popup
-      const popup = await waitForElement('.popup-wrapper.visible[role="dialog"]', 5000);
-      console.log('[STEP-3] ✅ Popup appeared');
-      
-      // Find currency option
-      const items = Array.from(document.querySelectorAll('material-select-item'));
-      const currencyItem = items.find(item => 
-        item.textContent.trim().includes('Đơn vị tiền tệ đã chuyển đổi')
-      );
-      
-      if (!currencyItem) {
-        console.warn('[STEP-3] ⚠️ Currency option not found');
-        return;
-      }
-      
-      // Check if already selected
-      const checkbox = currencyItem.querySelector('material-checkbox');
-      const isChecked = checkbox?.getAttribute('aria-checked') === 'true';
-      
-      if (!isChecked) {
-        console.log('[STEP-3] ☑️ Selecting currency option...');
-        currencyItem.click();
-        await delay(500);
-      } else {
-        console.log('[STEP-3] ℹ️ Currency option already selected');
-      }
-      
-      // Find and click apply button
-      await delay(1000);
-      
-      const mainDiv = popup.querySelector('.main');
-      let applyButton = mainDiv?.querySelector('.wrapper material-button[raised]') ||
-                       popup.querySelector('material-button[raised]');
-      
-      if (!applyButton) {
-        const allButtons = document.querySelectorAll('material-button, button');
-        applyButton = Array.from(allButtons).find(btn => {
-          const text = btn.textContent.trim();
-          const isVisible = btn.offsetParent !== null;
-          return (text === 'Áp dụng' || text.includes('Áp dụng')) && isVisible;
-        });
-      }
-      
-      if (!applyButton) {
-        console.warn('[STEP-3] ⚠️ Apply button not found');
-        return;
+  const boundTabIds = new Set(Object.values(monitors)
+    .filter(m => m.id !== monitorId && m.tabId != null)
+    .map(m => m.tabId));
+  const tabs = await chrome.tabs.query({});
+  let tab = tabs.find(t => !boundTabIds.has(t.id) && urlMatchesMonitor(t.url || t.pendingUrl, monitor.url, anyAccount));
+  
+  if (tab) {
+    console.log(`[MONITOR] 🔗 Re-attached monitor ${monitorId} to open tab ${tab.id}`);
+  } else {
+    tab = await chrome.tabs.create({ url: monitor.url, active: false });
+    console.log(`[MONITOR] 🆕 Opened tab ${tab.id} for monitor ${monitorId}: ${monitor.url}`);
+  }
+  
+  await updateMonitor(monitorId, m => { m.tabId = tab.id; });
+  return tab.id;
+}
+
+// One-time migration from the old tabId-keyed `tabSettings`
+async function migrateTabSettings() {
+  const { tabSettings } = await chrome.storage.local.get('tabSettings');
+  if (!tabSettings) return;
+  
+  await safeStorageWrite(async () => {
+    const monitors = await getMonitors();
+    for (const [tabIdStr, conf] of Object.entries(tabSettings)) {
+      const tabId = parseInt(tabIdStr, 10);
+      let tab = null;
+      try {
+        tab = await chrome.tabs.get(tabId);
+      } catch (e) {
+        // Tab is gone: without a URL these settings are orphans and can't be re-attached
+        console.warn(`[MONITOR] 🗑️ Dropping orphaned settings of closed tab ${tabId}`);
+        continue;
       }
       
-      console.log('[STEP-3] 🖱️ Clicking apply button...');
-      applyButton.click();
-      await delay(100);
-      applyButton.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
-      await delay(1500);
-      
-      console.log('[STEP-3] ✅ Lop selection completed');
-    } catch (e) {
-      console.warn('[STEP-3] ⚠️ Failed to apply Lop:', e.message);
+      const id = generateMonitorId();
+      monitors[id] = {
+        ...conf,
+        id,
+        name: (tab.title || 'Monitor').substring(0, 40),
+        url: tab.url || tab.pendingUrl,
+        tabId,
+        createdAt: Date.now()
+      };
+      await chrome.alarms.clear(`autoSend_${tabId}`);
+      console.log(`[MONITOR] 🔁 Migrated tab ${tabId} settings to monitor ${id}`);
     }
+    await chrome.storage.local.set({ monitors });
+    await chrome.storage.local.remove('tabSettings');
+  });
+}
+
+// Re-attach running monitors and re-create their alarms (browser start / extension update)
+async function restoreMonitors({ afterRestart = false } = {}) {
+  await migrateTabSettings();
+  
+  if (afterRestart) {
+    // Old tab IDs are meaningless after a restart and may collide with new tabs
+    await safeStorageWrite(async () => {
+      const monitors = await getMonitors();
+      Object.values(monitors).forEach(m => { m.tabId = null; });
+      await chrome.storage.local.set({ monitors });
+    });
+    await sleep(STARTUP_REATTACH_DELAY);
   }
   
-  // Step 4: Scroll to bottom
-  async function stepScrollToBottom() {
-    console.log('[STEP-4] 📜 Scrolling to bottom...');
-    
+  const monitors = await getMonitors();
+  for (const monitor of Object.values(monitors)) {
+    if (!monitor.isAutoRunning) continue;
     try {
-      const contentContainer = document.querySelector('awsm-child-content') ||
-                              document.querySelector('.awsm-content') ||
-                              document.querySelector('.awsm-nav-bar-and-content');
-      
-      if (contentContainer) {
-        const scrollHeight = contentContainer.scrollHeight;
-        const clientHeight = contentContainer.clientHeight;
-        const scrollDistance = scrollHeight - clientHeight;
-        
-        console.log(`[STEP-4] 📊 Container: scrollHeight=${scrollHeight}, clientHeight=${clientHeight}, needScroll=${scrollDistance}px`);
-        
-        if (scrollDistance > 10) {
-          // Use larger deltaY and more events to ensure we reach the bottom
-          const deltaPerEvent = 500; // Increased from 200
-          const wheelCount = Math.ceil(scrollDistance / deltaPerEvent) + 10; // Add extra events to ensure reaching bottom
-          
-          console.log(`[STEP-4] 🎯 Dispatching ${wheelCount} wheel events (${deltaPerEvent}px each)...`);
-          
-          // Dispatch events in batches with small delays
-          for (let i = 0; i < wheelCount; i++) {
-            contentContainer.dispatchEvent(new WheelEvent('wheel', {
-              deltaY: deltaPerEvent,
-              bubbles: true,
-              cancelable: true
-            }));
-            
-            // Small delay every 5 events to allow scroll to process
-            if (i % 5 === 0 && i > 0) {
-              await delay(50);
-            }
-          }
-          
-          // Wait longer for scroll animation and lazy loading
-          await delay(3000);
-          
-          // Verify if we reached the bottom
-          const finalScrollTop = contentContainer.scrollTop;
-          const maxScroll = scrollHeight - clientHeight;
-          console.log(`[STEP-4] 📍 Final scroll position: ${finalScrollTop}/${maxScroll}px`);
-          
-          if (finalScrollTop >= maxScroll - 50) {
-            console.log(`[STEP-4] ✅ Reached bottom successfully`);
-          } else {
-            console.log(`[STEP-4] ⚠️ Partially scrolled (${Math.round(finalScrollTop / maxScroll * 100)}%)`);
-          }
-        } else {
-          console.log('[STEP-4] ℹ️ No scroll needed (content fits in view)');
-        }
-      } else {
-        console.warn('[STEP-4] ⚠️ Content container not found');
-      }
+      await attachMonitorTab(monitor.id);
+      await scheduleNextRun(monitor.id, normalizeSchedule(monitor));
     } catch (e) {
-      console.warn('[STEP-4] ⚠️ Failed to scroll:', e.message);
+      console.error(`[MONITOR] ❌ Failed to restore monitor ${monitor.id}:`, e);
     }
   }
+  console.log(`[MONITOR] ✅ Restored ${Object.values(monitors).filter(m => m.isAutoRunning).length} running monitor(s)`);
+}
+
+chrome.runtime.onStartup.addListener(() => {
+  restoreMonitors({ afterRestart: true });
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  restoreMonitors();
+});
+
+// Keep the monitor but drop the stale binding when its tab closes
+chrome.tabs.onRemoved.addListener((tabId) => {
+  findMonitorByTab(tabId).then(monitor => {
+    if (!monitor) return;
+    console.log(`[MONITOR] Tab ${tabId} closed, monitor ${monitor.id} will re-attach on next run`);
+    return updateMonitor(monitor.id, m => { m.tabId = null; });
+  }).catch(err => console.warn('[MONITOR] Failed to unbind closed tab:', err));
+});
+
+// ---- Schedule Model ----
+// schedule = { type: 'interval', interval: 10 }                               → every N minutes
+//          | { type: 'times', times: ['08:30', '17:30'], weekdays: [1,2,3,4,5] } → at times of day (0 = Sunday)
+const DEFAULT_INTERVAL_MINUTES = 10;
+
+function normalizeSchedule(conf = {}) {
+  const schedule = conf.schedule;
+  if (schedule && schedule.type === 'times' && Array.isArray(schedule.times) && schedule.times.length > 0) {
+    return {
+      type: 'times',
+      times: schedule.times.filter(t => /^\d{1,2}:\d{2}$/.test(t)),
+      weekdays: Array.isArray(schedule.weekdays) ? schedule.weekdays : []
+    };
+  }
+  // Legacy settings only have a plain "interval" field
+  const interval = schedule?.interval || conf.interval || DEFAULT_INTERVAL_MINUTES;
+  return { type: 'interval', interval: Math.max(1, interval) };
+}
+
+// Next run time (ms timestamp) strictly after `from`, or null if the schedule can never fire
+function computeNextRunTime(schedule, from = Date.now()) {
+  if (schedule.type === 'interval') {
+    return from + schedule.interval * 60000;
+  }
   
-  // ========== EXECUTION ORDER ==========
-  // Define the sequence of steps here - easy to reorder!
-  
-  console.log('[AUTO] 🚀 Starting automation sequence...');
+  const times = schedule.times
+    .map(t => t.split(':').map(Number))
+    .filter(([h, m]) => h >= 0 && h < 24 && m >= 0 && m < 60)
+    .sort((a, b) => a[0] * 60 + a[1] - (b[0] * 60 + b[1]));
+  if (times.length === 0) return null;
   
-  // Always wait for page ready first
-  await stepWaitForPageReady();
+  // Empty weekday mask means every day
+  const weekdays = schedule.weekdays.length > 0 ? schedule.weekdays : [0, 1, 2, 3, 4, 5, 6];
   
-  // Apply date range if configured
-  if (config.startDate && config.endDate) {
-    await stepApplyDateRange(config.startDate, config.endDate);
-    await stepWaitForDataLoad();
+  // Look at most 8 days ahead (today + a full week)
+  for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
+    const day = new Date(from);
+    day.setDate(day.getDate() + dayOffset);
+    if (!weekdays.includes(day.getDay())) continue;
+    
+    for (const [hours, minutes] of times) {
+      const candidate = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes, 0, 0).getTime();
+      if (candidate > from) return candidate;
+    }
   }
+  return null;
+}
+
+// Create (or replace) the alarm for the next run of a monitor's schedule
+async function scheduleNextRun(monitorId, schedule) {
+  const alarmName = `autoSend_${monitorId}`;
   
-  // Apply Lop (Layer) selection if enabled
-  if (config.enableLop) {
-    await stepApplyLop();
+  if (schedule.type === 'interval') {
+    await chrome.alarms.create(alarmName, {
+      delayInMinutes: schedule.interval,
+      periodInMinutes: schedule.interval
+    });
+    console.log(`[SCHEDULE] ⏰ ${alarmName}: every ${schedule.interval} minutes`);
+    return Date.now() + schedule.interval * 60000;
   }
   
-  // Scroll to bottom if enabled (AFTER Lop)
-  if (config.enableScrollToBottom) {
-    await stepScrollToBottom();
+  const when = computeNextRunTime(schedule);
+  if (!when) {
+    await chrome.alarms.clear(alarmName);
+    console.warn(`[SCHEDULE] ⚠️ ${alarmName}: schedule has no valid time, alarm cleared`);
+    return null;
   }
   
-  console.log('[AUTO] ✅ Automation sequence completed');
-  return true;
+  await chrome.alarms.create(alarmName, { when });
+  console.log(`[SCHEDULE] ⏰ ${alarmName}: next run at ${new Date(when).toLocaleString('vi-VN')}`);
+  return when;
 }
 
-// ---- Apply Lop (Layer) Function - Select "Converted Currency" ----
-async function applyLopFunction() {
-  // Helper functions - must be self-contained
-  const delay = ms => new Promise(r => setTimeout(r, ms));
+// ---- Monitor Run Control (shared by popup messages and bot commands) ----
+async function startMonitor(monitorId, { runNow = true, patch = {} } = {}) {
+  const monitor = await updateMonitor(monitorId, m => {
+    Object.assign(m, patch);
+    m.isAutoRunning = true;
+    delete m.pausedReason; // resumed by a person, who has fixed the page
+  });
+  const schedule = normalizeSchedule(monitor);
+  console.log(`[MONITOR] ▶️ Starting monitor ${monitorId}, schedule:`, schedule);
   
-  async function waitForElement(selector, timeout = 5000) {
-    return new Promise((resolve, reject) => {
-      const existing = document.querySelector(selector);
-      if (existing) {
-        resolve(existing);
-        return;
-      }
-      
-      const observer = new MutationObserver((mutations, obs) => {
-        const el = document.querySelector(selector);
-        if (el) {
-          obs.disconnect();
-          resolve(el);
-        }
-      });
-      
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true
-      });
-      
-      setTimeout(() => {
-        observer.disconnect();
-        reject(new Error(`Element not found: ${selector}`));
-      }, timeout);
-    });
+  if (runNow) {
+    const tabId = await attachMonitorTab(monitorId);
+    enqueueTabJob(tabId, () => runJobForTab(tabId, monitorId));
   }
   
-  console.log('[LOP] 🔄 Starting Lop (Layer) selection...');
-  
-  try {
-    // Step 1: Wait for "Lớp" button to be ready (page must be loaded first)
-    console.log('[LOP] ⏳ Waiting for page to load and "Lớp" button to appear...');
-    
-    const lopButton = await waitForElement('layers material-button.btn', 10000)
-      .catch(() => document.querySelector('material-button[aria-label="Lớp"]'))
-      .catch(() => document.querySelector('material-button .icon[icon="layers"]')?.closest('material-button'));
-    
-    if (!lopButton) {
-      throw new Error('Lop button not found after waiting 10s');
-    }
-    
-    console.log('[LOP] ✅ "Lớp" button found and ready');
-    
-    // Extra wait to ensure Angular framework is fully initialized
-    await delay(2000);
-    
-    console.log('[LOP] 🖱️ Clicking "Lớp" button...');
-    lopButton.click();
-    await delay(1500); // Increased wait for popup to appear and render
-    
-    // Step 2: Wait for popup to appear
-    const popup = await waitForElement('.popup-wrapper.visible[role="dialog"]', 5000);
-    console.log('[LOP] ✅ Popup appeared');
-    
-    // Also check what's inside
-    const popupContent = popup.querySelector('.main, .content, .material-popup-content');
-    
-    // Step 3: Find and click "Đơn vị tiền tệ đã chuyển đổi" checkbox
-    // Look for the material-select-item containing the text
-    const items = Array.from(document.querySelectorAll('material-select-item'));
-    const currencyItem = items.find(item => 
-      item.textContent.trim().includes('Đơn vị tiền tệ đã chuyển đổi')
-    );
-    
-    if (!currencyItem) {
-      throw new Error('Currency option not found');
+  return scheduleNextRun(monitorId, schedule);
+}
+
+async function stopMonitor(monitorId) {
+  await updateMonitor(monitorId, m => { m.isAutoRunning = false; });
+  const wasCleared = await chrome.alarms.clear(`autoSend_${monitorId}`);
+  console.log(`[MONITOR] ⏸️ Stopped monitor ${monitorId} (alarm cleared: ${wasCleared})`);
+}
+
+// ---- Telegram Bot Commands (long polling getUpdates) ----
+// The loop runs while the service worker is alive; the `telegramPoll` alarm restarts it
+// after the worker is suspended. Only chats listed in globalSettings.commandChatIds are served.
+const TELEGRAM_POLL_ALARM = 'telegramPoll';
+const TELEGRAM_POLL_TIMEOUT = 25; // seconds, must stay below the worker idle timeout (30s)
+let telegramPolling = false;
+
+async function getCommandConfig() {
+  const { globalSettings } = await chrome.storage.local.get('globalSettings');
+  const botToken = globalSettings?.botToken || null;
+  const commandChatIds = (globalSettings?.commandChatIds || []).map(String);
+  return { botToken, commandChatIds };
+}
+
+function sendTelegramMessage(botToken, chatId, text) {
+  return callTelegramApi(botToken, 'sendMessage', chatId, () => ({
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ chat_id: chatId, text, disable_web_page_preview: true })
+  }));
+}
+
+// Start the polling loop if it's not already running in this worker instance
+function ensureTelegramPolling() {
+  if (telegramPolling) return;
+  telegramPolling = true;
+  pollTelegramUpdates()
+    .catch(err => console.error('[BOT] ❌ Polling loop crashed:', err))
+    .finally(() => { telegramPolling = false; });
+}
+
+async function pollTelegramUpdates() {
+  while (true) {
+    const { botToken, commandChatIds } = await getCommandConfig();
+    if (!botToken || commandChatIds.length === 0) {
+      console.log('[BOT] ℹ️ No bot token or command chats configured, polling stopped');
+      return;
     }
     
-    // Check if already selected
-    const checkbox = currencyItem.querySelector('material-checkbox');
-    const isChecked = checkbox?.getAttribute('aria-checked') === 'true';
-    
-    if (isChecked) {
-      console.log('[LOP] ℹ️ Currency option already selected, skipping...');
-    } else {
-      console.log('[LOP] ☑️ Selecting "Đơn vị tiền tệ đã chuyển đổi"...');
-      currencyItem.click();
-      await delay(500);
+    const { telegramUpdateOffset = 0 } = await chrome.storage.local.get('telegramUpdateOffset');
+    let updates = [];
+    try {
+      const url = `https://api.telegram.org/bot${botToken}/getUpdates` +
+        `?timeout=${TELEGRAM_POLL_TIMEOUT}&offset=${telegramUpdateOffset}&allowed_updates=${encodeURIComponent('["message"]')}`;
+      const resp = await fetch(url);
+      const data = await resp.json();
+      if (!data.ok) throw new Error(data.description || `HTTP ${resp.status}`);
+      updates = data.result || [];
+    } catch (err) {
+      console.warn('[BOT] ⚠️ getUpdates failed:', err.message);
+      await sleep(5000);
+      continue;
     }
     
-    // Step 4: Click "Áp dụng" button - based on actual HTML structure
-    console.log('[LOP] 🔍 Looking for "Áp dụng" button...');
-    
-    // Wait a bit for button to be ready
-    await delay(1000);
-    
-    // Try multiple selectors for the apply button
-    let applyButton = null;
-    
-    // Method 1: MOST SPECIFIC - Search in .wrapper inside .main (based on actual HTML structure)
-    // <div class="main"><div class="wrapper"><material-button raised="">Áp dụng</material-button></div></div>
-    const mainDiv = popup.querySelector('.main');
-    if (mainDiv) {
-      const wrapper = mainDiv.querySelector('.wrapper');
-      if (wrapper) {
-        applyButton = wrapper.querySelector('material-button[raised]');
-        console.log('[LOP] Method 1 (.main .wrapper material-button[raised]):', applyButton ? 'Found ✅' : 'Not found');
+    for (const update of updates) {
+      // Persist the offset first so a crash never replays a command
+      await chrome.storage.local.set({ telegramUpdateOffset: update.update_id + 1 });
+      
+      const message = update.message;
+      if (!message?.text?.startsWith('/')) continue;
+      
+      const chatId = String(message.chat.id);
+      if (!commandChatIds.includes(chatId)) {
+        console.warn(`[BOT] 🚫 Ignoring command from non-whitelisted chat ${chatId}`);
+        continue;
       }
-    }
-    
-    // Method 2: Direct selector for the specific structure
-    if (!applyButton) {
-      applyButton = popup.querySelector('.popup .main .wrapper material-button[raised]');
-      console.log('[LOP] Method 2 (.popup .main .wrapper):', applyButton ? 'Found ✅' : 'Not found');
-    }
-    
-    // Method 3: Search for ANY material-button with [raised] attribute in visible popup
-    if (!applyButton) {
-      applyButton = popup.querySelector('material-button[raised]');
-      console.log('[LOP] Method 3 (popup material-button[raised]):', applyButton ? 'Found ✅' : 'Not found');
-    }
-    
-    // Method 4: Search GLOBALLY for visible buttons with "Áp dụng" text
-    if (!applyButton) {
-      const allButtons = document.querySelectorAll('material-button, button');
-      console.log('[LOP] Method 4: Found', allButtons.length, 'total buttons, searching for "Áp dụng"...');
       
-      applyButton = Array.from(allButtons).find(btn => {
-        const text = btn.textContent.trim();
-        const isVisible = btn.offsetParent !== null;
-        if ((text === 'Áp dụng' || text.includes('Áp dụng')) && isVisible) {
-          console.log('[LOP] Found button with "Áp dụng" text ✅:', {
-            text,
-            class: btn.className,
-            parent: btn.parentElement?.className
-          });
-          return true;
-        }
-        return false;
-      });
-    }
-    
-    // Method 5: Search in .wrapper anywhere in document (global fallback)
-    if (!applyButton) {
-      const wrappers = document.querySelectorAll('.wrapper');
-      console.log('[LOP] Method 5: Found', wrappers.length, '.wrapper elements');
-      for (const wrapper of wrappers) {
-        const btn = wrapper.querySelector('material-button[raised]');
-        if (btn && btn.offsetParent !== null && btn.textContent.trim().includes('Áp dụng')) {
-          applyButton = btn;
-          console.log('[LOP] Found in .wrapper ✅');
-          break;
-        }
+      try {
+        const reply = await handleBotCommand(message.text);
+        if (reply) await sendTelegramMessage(botToken, chatId, reply);
+      } catch (err) {
+        console.error('[BOT] ❌ Command failed:', err);
+        await sendTelegramMessage(botToken, chatId, `❌ Lỗi: ${err.message}`).catch(() => {});
       }
     }
-    
-    if (!applyButton) {
-      // Final debug: Log all visible material-buttons
-      console.error('[LOP] ❌ Could not find apply button after 5 methods!');
-      const allMaterialButtons = document.querySelectorAll('material-button');
-      console.log('[LOP] Logging all', allMaterialButtons.length, 'material-buttons:');
-      Array.from(allMaterialButtons).forEach((btn, idx) => {
-        if (btn.offsetParent !== null) {
-          console.log(`[LOP] Button ${idx}:`, {
-            text: btn.textContent.trim().substring(0, 30),
-            class: btn.className,
-            raised: btn.hasAttribute('raised'),
-            parent: btn.parentElement?.className,
-            grandparent: btn.parentElement?.parentElement?.className
-          });
-        }
-      });
-      throw new Error('Apply button not found after trying all methods');
-    }
-    
-    console.log('[LOP] ✅ Found "Áp dụng" button successfully!');
-    console.log('[LOP] Button details:', {
-      text: applyButton.textContent.trim(),
-      class: applyButton.className,
-      tag: applyButton.tagName,
-      parent: applyButton.parentElement?.className
-    });
-    
-    // Click with multiple methods for maximum compatibility
-    console.log('[LOP] 🖱️ Clicking button...');
-    
-    // Method 1: Native click
-    applyButton.click();
-    await delay(100);
-    
-    // Method 2: Dispatch mouse events (simulates real user click)
-    applyButton.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, cancelable: true }));
-    await delay(50);
-    applyButton.dispatchEvent(new MouseEvent('mouseup', { bubbles: true, cancelable: true }));
-    await delay(50);
-    applyButton.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
-    
-    // Wait for changes to apply
-    await delay(1500);
-    console.log('[LOP] ✅ Button clicked successfully');
-    
-    console.log('[LOP] ✅ Lop selection completed successfully');
-    return true;
-    
-  } catch (error) {
-    console.error('[LOP] ❌ Error:', error.message);
-    throw error;
   }
 }
 
-// ---- Download Google Sheet Function ----
-async function downloadGoogleSheetFunction(fileName = 'Report') {
-  // Helper functions - must be self-contained
-  const delay = ms => new Promise(r => setTimeout(r, ms));
+// Accepts a monitor ID, its exact name (case-insensitive) or its number in /status
+function findMonitorByRef(monitors, ref) {
+  const list = Object.values(monitors);
+  const needle = (ref || '').trim().toLowerCase();
+  if (!needle) return null;
   
-  async function waitForSelector(selector, timeout = 10000) { // Increased from 5000
-    const start = Date.now();
-    while (Date.now() - start < timeout) {
-      const el = document.querySelector(selector);
-      if (el) return el;
-      await delay(300); // Increased from 200
-    }
-    return null;
-  }
+  const index = parseInt(needle, 10);
+  if (String(index) === needle && index >= 1 && index <= list.length) return list[index - 1];
   
-  // MutationObserver-based wait for element (handles dynamic content)
-  async function waitForElement(selector, timeout = 15000) { // Increased from 8000
-    return new Promise((resolve, reject) => {
-      const existing = document.querySelector(selector);
-      if (existing) {
-        resolve(existing);
-        return;
-      }
-      
-      const observer = new MutationObserver((mutations, obs) => {
-        const el = document.querySelector(selector);
-        if (el) {
-          obs.disconnect();
-          resolve(el);
-        }
-      });
-      
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true
-      });
-      
-      setTimeout(() => {
-        observer.disconnect();
-        reject(new Error(`Element ${selector} not found after ${timeout}ms`));
-      }, timeout);
-    });
-  }
+  return list.find(m => m.id.toLowerCase() === needle) ||
+         list.find(m => (m.name || '').toLowerCase() === needle) ||
+         list.find(m => (m.name || '').toLowerCase().includes(needle)) ||
+         null;
+}
+
+async function formatMonitorStatus(monitors) {
+  const list = Object.values(monitors);
+  if (list.length === 0) return 'Chưa có monitor nào.';
   
-  // Retry wrapper for operations
-  async function retry(fn, retries = 3, delayMs = 2000) { // Increased from 1000
-    for (let i = 0; i < retries; i++) {
-      try {
-        return await fn();
-      } catch (e) {
-        console.warn(`[RETRY] Attempt ${i + 1}/${retries} failed:`, e.message);
-        if (i === retries - 1) throw e;
-        await delay(delayMs * (i + 1));
-      }
-    }
-  }
+  const lines = await Promise.all(list.map(async (monitor, i) => {
+    const alarm = await chrome.alarms.get(`autoSend_${monitor.id}`);
+    const state = monitor.isAutoRunning ? '▶️ đang chạy'
+      : monitor.pausedReason ? `🔒 tạm dừng (${PAGE_HEALTH_PROBLEMS[monitor.pausedReason.problem]?.reason})`
+      : '⏸️ tạm dừng';
+    const next = monitor.isAutoRunning && alarm
+      ? `lần tới ${new Date(alarm.scheduledTime).toLocaleString('vi-VN')}`
+      : 'không có lịch';
+    return `${i + 1}. ${monitor.name || monitor.id} — ${state}, ${next}`;
+  }));
+  return `📋 Monitors:\n${lines.join('\n')}`;
+}
+
+async function handleBotCommand(text) {
+  // "/snap@MyBot Báo cáo A" → command "/snap", arg "Báo cáo A"
+  const [rawCommand, ...rest] = text.trim().split(/\s+/);
+  const command = rawCommand.split('@')[0].toLowerCase();
+  const arg = rest.join(' ');
+  const monitors = await getMonitors();
+  console.log(`[BOT] 📩 Command: ${command} ${arg}`);
   
-  try {
-    console.log('[DOWNLOAD] 📥 Starting Google Sheet download process...');
+  switch (command) {
+    case '/status':
+      return formatMonitorStatus(monitors);
+      
+    case '/snap': {
+      const monitor = findMonitorByRef(monitors, arg);
+      if (!monitor) return `❓ Không tìm thấy monitor "${arg}". Dùng /status để xem danh sách.`;
+      const tabId = await attachMonitorTab(monitor.id);
+      enqueueTabJob(tabId, () => runJobForTab(tabId, monitor.id));
+      return `📸 Đang chụp "${monitor.name || monitor.id}", kết quả sẽ gửi tới chat của monitor.`;
+    }
     
-    // Step 1: Find and click the download button (nút "Tải xuống")
-    await retry(async () => {
-      // Find the specific download button with class "report-download-menu-item"
-      let downloadBtn = null;
-      
-      // Method 1: Most specific - Find by menu class "report-download-menu-item"
-      const downloadMenu = document.querySelector('material-menu.report-download-menu-item');
-      if (downloadMenu) {
-        downloadBtn = downloadMenu.querySelector('material-button.trigger-button');
-      }
+    case '/pause':
+    case '/resume': {
+      const targets = arg.toLowerCase() === 'all'
+        ? Object.values(monitors)
+        : [findMonitorByRef(monitors, arg)].filter(Boolean);
+      if (targets.length === 0) return `❓ Không tìm thấy monitor "${arg}". Dùng /status để xem danh sách.`;
       
-      // Method 2: Direct selector combining class and structure
-      if (!downloadBtn) {
-        downloadBtn = document.querySelector('toolbelt-material-menu material-menu.report-download-menu-item material-button.trigger-button');
-      }
-      
-      // Method 3: Find in right-panel with specific structure
-      if (!downloadBtn) {
-        const rightPanel = document.querySelector('toolbelt-bar .right-panel');
-        if (rightPanel) {
-          const menus = rightPanel.querySelectorAll('material-menu');
-          for (const menu of menus) {
-            if (menu.classList.contains('report-download-menu-item')) {
-              downloadBtn = menu.querySelector('material-button.trigger-button');
-              break;
-            }
-          }
+      for (const monitor of targets) {
+        if (command === '/pause') {
+          await stopMonitor(monitor.id);
+        } else {
+          await startMonitor(monitor.id, { runNow: false });
         }
       }
-      
-      if (!downloadBtn) throw new Error('Download button not found');
-      
-      console.log('[DOWNLOAD] 🔽 Clicking download button...');
-      downloadBtn.click();
-      await delay(1200); // Increased from 800 for slow networks
-      console.log('[DOWNLOAD] ✅ Download menu opened');
-    }, 3, 2000); // Increased from 1000
-    
-    // Step 2: Wait for menu popup and click "Google Trang tính" option
-    await retry(async () => {
-      // Wait for the menu to appear - increased timeout
-      const googleSheetOption = await waitForElement('material-select-item[aria-label="Google Trang tính"]', 10000); // Increased from 5000
-      if (!googleSheetOption) throw new Error('Google Sheets option not found in menu');
-      
-      console.log('[DOWNLOAD] 📊 Clicking "Google Trang tính" option...');
-      googleSheetOption.click();
-      await delay(1500); // Increased from 1000 for dialog to appear
-      console.log('[DOWNLOAD] ✅ Google Sheets option selected');
-    }, 3, 2000); // Increased from 1000
-    
-    // Step 3: Wait for dialog and fill in file name
-    await retry(async () => {
-      // Wait for the dialog to appear - increased timeout
-      const dialog = await waitForElement('material-dialog.basic-dialog', 10000); // Increased from 5000
-      if (!dialog) throw new Error('Download dialog not found');
-      
-      console.log('[DOWNLOAD] 📝 Dialog appeared, looking for file name input...');
-      
-      // Find the file name input field
-      const fileNameInput = dialog.querySelector('material-input input[type="text"]') ||
-                           dialog.querySelector('material-input.themeable input');
-      
-      if (!fileNameInput) throw new Error('File name input not found in dialog');
-      
-      console.log(`[DOWNLOAD] ✏️ Filling file name: "${fileName}"...`);
-      
-      // Clear existing value and set new file name
-      fileNameInput.focus();
-      await delay(300); // Increased from 200
-      fileNameInput.value = '';
-      await delay(150); // Increased from 100
-      fileNameInput.value = fileName;
-      fileNameInput.dispatchEvent(new Event('input', { bubbles: true }));
-      fileNameInput.dispatchEvent(new Event('change', { bubbles: true }));
-      fileNameInput.blur();
-      await delay(300);
-      
-      console.log('[DOWNLOAD] ✅ File name filled successfully');
-    }, 3, 1000);
-    
-    // Step 4: Click the final download button in the dialog
-    await retry(async () => {
-      // Find the "Tải xuống" button in the dialog (btn-yes highlighted)
-      const finalDownloadBtn = document.querySelector('material-dialog material-button.btn-yes.highlighted') ||
-                              document.querySelector('material-yes-no-buttons material-button.btn-yes') ||
-                              Array.from(document.querySelectorAll('material-dialog material-button')).find(btn => 
-                                btn.textContent.trim() === 'Tải xuống'
-                              );
-      
-      if (!finalDownloadBtn) throw new Error('Final download button not found');
-      
-      console.log('[DOWNLOAD] ⬇️ Clicking final "Tải xuống" button...');
-      finalDownloadBtn.click();
-      await delay(1500); // Wait for download to initiate
-      
-      console.log('[DOWNLOAD] ✅ Download initiated successfully');
-    }, 3, 1000);
-    
-    console.log('[DOWNLOAD] 🎉 Google Sheet download process completed!');
-    return true;
+      const verb = command === '/pause' ? '⏸️ Đã tạm dừng' : '▶️ Đã tiếp tục';
+      return `${verb}: ${targets.map(m => m.name || m.id).join(', ')}`;
+    }
     
-  } catch (e) {
-    console.error('[DOWNLOAD] ❌ Failed to download Google Sheet:', e.message);
-    throw e;
+    case '/start':
+    case '/help':
+      return [
+        '🤖 Lệnh hỗ trợ:',
+        '/status — danh sách monitor và lần chạy tới',
+        '/snap <monitor> — chụp và gửi ngay',
+        '/pause <monitor|all> — tạm dừng lịch gửi',
+        '/resume <monitor|all> — tiếp tục lịch gửi'
+      ].join('\n');
+      
+    default:
+      return `❓ Lệnh không hỗ trợ: ${command}. Gõ /help để xem danh sách.`;
   }
 }
 
+// Keep-alive alarm: re-starts the loop whenever the worker wakes up
+ensureRepeatingAlarm(TELEGRAM_POLL_ALARM, 0.5).catch(err => console.warn('[BOT] ⚠️ Could not schedule poll alarm:', err.message));
+ensureTelegramPolling();
+
 // ---- Message Handler (using Alarms API instead of setInterval) ----
 chrome.runtime.onMessage.addListener((req, sender, sendResponse) => {
+  if (!req.action) return false; // offscreen traffic (capture-tab / capture-result) has its own listeners
   console.log('[MESSAGE] Received:', req.action);
   
+  if (req.action === 'getMonitorForTab') {
+    const { tabId, create } = req;
+    getOrCreateMonitorForTab(tabId, !!create)
+      .then(monitor => sendResponse({ monitor }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+  
+  if (req.action === 'updateMonitor') {
+    const { tabId, patch } = req;
+    const recipeError = patch.recipe ? validateRecipe(patch.recipe) : null;
+    if (recipeError) {
+      sendResponse({ error: `Kịch bản không hợp lệ: ${recipeError}` });
+      return true;
+    }
+    getOrCreateMonitorForTab(tabId)
+      .then(monitor => updateMonitor(monitor.id, m => {
+        Object.assign(m, patch);
+        // Forget change-detection state of accounts that were removed
+        if (patch.accounts && m.accountState) {
+          const ids = new Set(patch.accounts.map(a => a.id));
+          Object.keys(m.accountState).filter(id => !ids.has(id)).forEach(id => delete m.accountState[id]);
+        }
+      }))
+      .then(monitor => {
+        console.log(`[STORAGE] ✅ Saved settings for monitor ${monitor.id}`);
+        sendResponse({ status: 'saved', monitor });
+      })
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+  
   if (req.action === 'startAutoSend') {
-    const { tabId, interval } = req;
-    console.log(`[MESSAGE] Starting auto send for tab ${tabId}, interval: ${interval} minutes`);
-    
-    // Start immediate job
-    enqueueTabJob(tabId, () => runJobForTab(tabId));
-    
-    // Create alarm for periodic runs
-    chrome.alarms.create(`autoSend_${tabId}`, {
-      delayInMinutes: interval,
-      periodInMinutes: interval
-    });
+    const { tabId, patch = {} } = req;
     
-    console.log(`[MESSAGE] Alarm created: autoSend_${tabId}`);
-    sendResponse({ status: 'started' });
+    (async () => {
+      const monitor = await getOrCreateMonitorForTab(tabId);
+      console.log(`[MESSAGE] Starting auto send for monitor ${monitor.id} (tab ${tabId})`);
+      
+      // Start immediate job + create alarm for the next scheduled run
+      const nextRunAt = await startMonitor(monitor.id, { patch });
+      console.log(`[MESSAGE] Alarm created: autoSend_${monitor.id}`);
+      sendResponse({ status: 'started', nextRunAt, monitorId: monitor.id });
+    })().catch(err => sendResponse({ error: err.message }));
     return true;
   }
   
@@ -1509,31 +3632,99 @@ chrome.runtime.onMessage.addListener((req, sender, sendResponse) => {
     const { tabId } = req;
     console.log(`[MESSAGE] Stopping auto send for tab ${tabId}`);
     
-    chrome.alarms.clear(`autoSend_${tabId}`, (wasCleared) => {
-      console.log(`[MESSAGE] Alarm cleared: ${wasCleared}`);
-    });
-    
-    sendResponse({ status: 'stopped' });
+    (async () => {
+      const monitor = await findMonitorByTab(tabId);
+      if (monitor) await stopMonitor(monitor.id);
+      sendResponse({ status: 'stopped' });
+    })().catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+  
+  // Recipe matching the popup's checkboxes, as a starting point for editing
+  if (req.action === 'getDefaultRecipe') {
+    sendResponse({ recipe: buildDefaultRecipe(req.options || {}) });
+    return true;
+  }
+  
+  if (req.action === 'getOutboxCount') {
+    getOutboxCount()
+      .then(count => sendResponse({ count }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+  
+  if (req.action === 'restartBotPolling') {
+    ensureTelegramPolling();
+    sendResponse({ status: 'ok' });
     return true;
   }
   
-  if (req.action === 'saveCaptureRegion') {
-    const { region, dpr } = req;
+  // Redaction masks come from the same selectors (popup sets purpose before injecting them)
+  if ((req.action === 'saveCaptureRegion' || req.action === 'saveCaptureAnchor') && req.purpose === 'redaction') {
+    const { region, dpr, anchor = null } = req;
     const tabId = sender.tab.id;
-    console.log(`[MESSAGE] Saving capture region for tab ${tabId}:`, region);
+    console.log(`[MESSAGE] Adding redaction for tab ${tabId}:`, anchor ? anchor.selector : region);
+    
+    getOrCreateMonitorForTab(tabId)
+      .then(async monitor => {
+        // Scroll offset at drawing time, so the rectangle can follow the page when it scrolls later,
+        // and whether it covers pinned UI (header, account switcher) that must not be moved
+        const scroll = await runInTab(tabId, measurePageScroll).catch(err => {
+          console.warn('[REDACT] ⚠️ Could not record scroll offset:', err.message);
+          return null;
+        });
+        const position = await runInTab(tabId, classifyRedactionRect, [region]).catch(err => {
+          console.warn('[REDACT] ⚠️ Could not classify redaction area:', err.message);
+          return null;
+        }) || 'mixed'; // unknown: mask both places
+        console.log(`[REDACT] 📍 Redaction covers ${position} content`);
+        return updateMonitor(monitor.id, m => {
+          m.redactions = m.redactions || [];
+          m.redactions.push({ id: generateRegionId(), region, dpr, scroll, position, anchor, style: 'blur' });
+        });
+      })
+      .then(monitor => console.log(`[STORAGE] ✅ Monitor ${monitor.id} now has ${monitor.redactions.length} redaction(s)`))
+      .catch(err => console.error('[STORAGE] Failed to save redaction:', err));
     
-    CAPTURE_REGIONS.set(tabId, { region, dpr });
+    sendResponse({ status: 'saved' });
+    return true;
+  }
+  
+  // Both selectors append a new named region (anchor = element picker, pixel region kept as fallback)
+  if (req.action === 'saveCaptureRegion' || req.action === 'saveCaptureAnchor') {
+    const { region, dpr, anchor = null } = req;
+    const tabId = sender.tab.id;
+    console.log(`[MESSAGE] Adding capture region for tab ${tabId}:`, anchor ? anchor.selector : region);
     
     // Save to storage with mutex lock to prevent race condition
-    safeStorageWrite(async () => {
-      const data = await chrome.storage.local.get('tabSettings');
-      const tabSettings = data.tabSettings || {};
-      if (!tabSettings[tabId]) tabSettings[tabId] = {};
-      tabSettings[tabId].captureRegion = region;
-      tabSettings[tabId].dpr = dpr;
-      await chrome.storage.local.set({ tabSettings });
-      console.log(`[STORAGE] ✅ Saved region for tab ${tabId}`);
-    });
+    getOrCreateMonitorForTab(tabId)
+      .then(monitor => updateMonitor(monitor.id, m => {
+        const regions = migrateCaptureRegions(m);
+        regions.push({ id: generateRegionId(), name: `Vùng ${regions.length + 1}`, region, dpr, anchor });
+      }))
+      .then(monitor => console.log(`[STORAGE] ✅ Monitor ${monitor.id} now has ${monitor.captureRegions.length} region(s)`))
+      .catch(err => console.error('[STORAGE] Failed to save region:', err));
+    
+    sendResponse({ status: 'saved' });
+    return true;
+  }
+  
+  // Steps recorded by content_recorder.js replace the monitor's recipe (replayed before capture)
+  if (req.action === 'saveRecordedRecipe') {
+    const tabId = sender.tab.id;
+    const recipe = { name: `Ghi thao tác ${new Date().toLocaleString('vi-VN')}`, steps: req.steps || [] };
+    const invalid = validateRecipe(recipe);
+    if (invalid) {
+      console.error('[RECIPE] ❌ Recorded recipe rejected:', invalid);
+      sendResponse({ error: invalid });
+      return true;
+    }
+    console.log(`[MESSAGE] Saving recorded recipe (${recipe.steps.length} steps) for tab ${tabId}`);
+    
+    getOrCreateMonitorForTab(tabId)
+      .then(monitor => updateMonitor(monitor.id, m => { m.recipe = recipe; }))
+      .then(monitor => console.log(`[STORAGE] ✅ Monitor ${monitor.id} now replays ${recipe.steps.length} recorded step(s)`))
+      .catch(err => console.error('[STORAGE] Failed to save recorded recipe:', err));
     
     sendResponse({ status: 'saved' });
     return true;
@@ -1543,21 +3734,14 @@ chrome.runtime.onMessage.addListener((req, sender, sendResponse) => {
     const { tabId } = req;
     console.log(`[MESSAGE] Clearing capture region for tab ${tabId}`);
     
-    CAPTURE_REGIONS.delete(tabId);
-    
     // Clear from storage with mutex lock
-    safeStorageWrite(async () => {
-      const data = await chrome.storage.local.get('tabSettings');
-      const tabSettings = data.tabSettings || {};
-      if (tabSettings[tabId]) {
-        delete tabSettings[tabId].captureRegion;
-        delete tabSettings[tabId].dpr;
-        await chrome.storage.local.set({ tabSettings });
-        console.log(`[STORAGE] ✅ Cleared region for tab ${tabId}`);
-      }
-    });
-    
-    sendResponse({ status: 'cleared' });
+    findMonitorByTab(tabId).then(monitor => {
+      if (!monitor) return;
+      return updateMonitor(monitor.id, m => {
+        migrateCaptureRegions(m);
+        m.captureRegions = [];
+      }).then(() => console.log(`[STORAGE] ✅ Cleared regions for monitor ${monitor.id}`));
+    }).finally(() => sendResponse({ status: 'cleared' }));
     return true;
   }
   
@@ -1566,13 +3750,40 @@ chrome.runtime.onMessage.addListener((req, sender, sendResponse) => {
 
 // ---- Alarm Handler (for periodic jobs) ----
 chrome.alarms.onAlarm.addListener((alarm) => {
+  // Keep-alive tick every 30s, not worth logging
+  if (alarm.name === TELEGRAM_POLL_ALARM) {
+    ensureTelegramPolling();
+    return;
+  }
+  
+  if (alarm.name === OUTBOX_DRAIN_ALARM) {
+    drainOutbox();
+    return;
+  }
+  
   console.log('[ALARM] Triggered:', alarm.name);
   
   if (!alarm.name.startsWith('autoSend_')) return;
   
-  const tabId = parseInt(alarm.name.split('_')[1]);
-  console.log(`[ALARM] Running job for tab ${tabId}`);
+  const monitorId = alarm.name.substring('autoSend_'.length);
   
-  // Enqueue job (prevents race condition)
-  enqueueTabJob(tabId, () => runJobForTab(tabId));
+  (async () => {
+    const monitor = await getMonitor(monitorId);
+    if (!monitor || !monitor.isAutoRunning) {
+      console.warn(`[ALARM] Monitor ${monitorId} is missing or stopped, clearing alarm`);
+      await chrome.alarms.clear(alarm.name);
+      return;
+    }
+    
+    // Tab IDs are volatile: resolve (or reopen) the monitor's tab every run
+    const tabId = await attachMonitorTab(monitorId);
+    console.log(`[ALARM] Running job for monitor ${monitorId} in tab ${tabId}`);
+    
+    // Enqueue job (prevents race condition)
+    enqueueTabJob(tabId, () => runJobForTab(tabId, monitorId));
+    
+    // Time-of-day schedules use one-shot alarms, so queue up the next occurrence
+    const schedule = normalizeSchedule(monitor);
+    if (schedule.type === 'times') await scheduleNextRun(monitorId, schedule);
+  })().catch(err => console.error(`[ALARM] Failed to run monitor ${monitorId}:`, err));
 });
@@ -0,0 +1,130 @@
+(function() {
+  // Ngăn việc tiêm nhiều lần
+  if (document.getElementById('__my_element_picker__')) {
+    return;
+  }
+
+  // Mục đích do popup đặt trước khi tiêm: 'capture' (vùng chụp) hoặc 'redaction' (vùng che)
+  const purpose = window.__autoToolSelectPurpose || 'capture';
+  delete window.__autoToolSelectPurpose;
+
+  // 1. Khung highlight + nhãn (không nhận sự kiện chuột để không che phần tử bên dưới)
+  const highlight = document.createElement('div');
+  highlight.id = '__my_element_picker__';
+  Object.assign(highlight.style, {
+    position: 'fixed',
+    border: `2px solid ${purpose === 'redaction' ? '#f5576c' : '#667eea'}`,
+    background: purpose === 'redaction' ? 'rgba(245, 87, 108, 0.25)' : 'rgba(102, 126, 234, 0.2)',
+    zIndex: 99999999,
+    pointerEvents: 'none',
+    display: 'none'
+  });
+
+  const label = document.createElement('div');
+  Object.assign(label.style, {
+    position: 'fixed',
+    top: '8px',
+    left: '50%',
+    transform: 'translateX(-50%)',
+    padding: '6px 12px',
+    borderRadius: '6px',
+    background: '#333',
+    color: '#fff',
+    font: '12px/1.4 monospace',
+    zIndex: 99999999,
+    pointerEvents: 'none',
+    maxWidth: '80vw',
+    whiteSpace: 'nowrap',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis'
+  });
+  label.textContent = 'Di chuột để chọn phần tử • Click để lưu • ↑ chọn phần tử cha • Esc để hủy';
+
+  document.body.appendChild(highlight);
+  document.body.appendChild(label);
+
+  let current = null;
+
+  // 2. Selector ổn định (content_selector_builder.js được tiêm trước)
+  const { buildSelector } = window.__autoToolSelectorBuilder;
+
+  const show = (el) => {
+    current = el;
+    const box = el.getBoundingClientRect();
+    Object.assign(highlight.style, {
+      display: 'block',
+      left: box.left + 'px',
+      top: box.top + 'px',
+      width: box.width + 'px',
+      height: box.height + 'px'
+    });
+    label.textContent = `${buildSelector(el)}  (${Math.round(box.width)} x ${Math.round(box.height)})`;
+  };
+
+  // 3. Xử lý sự kiện (capture phase để trang không nhận click)
+  const onMouseMove = (e) => {
+    if (e.target === highlight || e.target === label) return;
+    if (e.target !== current) show(e.target);
+  };
+
+  const onClick = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (!current) return;
+
+    const box = current.getBoundingClientRect();
+    const region = {
+      x: Math.round(box.left),
+      y: Math.round(box.top),
+      width: Math.round(box.width),
+      height: Math.round(box.height)
+    };
+
+    if (region.width > 0 && region.height > 0) {
+      // Vùng pixel được lưu kèm để dùng khi không tìm lại được phần tử
+      chrome.runtime.sendMessage({
+        action: 'saveCaptureAnchor',
+        anchor: {
+          selector: buildSelector(current),
+          text: (current.innerText || '').trim().substring(0, 60)
+        },
+        region,
+        dpr: window.devicePixelRatio || 1,
+        purpose
+      });
+    }
+    cleanup();
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      cleanup();
+    } else if (e.key === 'ArrowUp' && current && current.parentElement && current.parentElement !== document.body) {
+      e.preventDefault();
+      show(current.parentElement);
+    }
+  };
+
+  // Chặn mousedown/mouseup để menu, nút... của trang không phản ứng khi chọn
+  const swallow = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+  };
+
+  // 4. Dọn dẹp
+  function cleanup() {
+    document.removeEventListener('mousemove', onMouseMove, true);
+    document.removeEventListener('click', onClick, true);
+    document.removeEventListener('mousedown', swallow, true);
+    document.removeEventListener('mouseup', swallow, true);
+    document.removeEventListener('keydown', onKeyDown, true);
+    highlight.remove();
+    label.remove();
+  }
+
+  document.addEventListener('mousemove', onMouseMove, true);
+  document.addEventListener('click', onClick, true);
+  document.addEventListener('mousedown', swallow, true);
+  document.addEventListener('mouseup', swallow, true);
+  document.addEventListener('keydown', onKeyDown, true);
+})();
@@ -0,0 +1,166 @@
+(function() {
+  // Ngăn việc tiêm nhiều lần
+  if (document.getElementById('__my_step_recorder__')) {
+    return;
+  }
+
+  const { describeStep, buildSelector } = window.__autoToolSelectorBuilder;
+
+  // Phần tử "có thể bấm": thẻ chuẩn, role, hoặc thẻ tùy biến kiểu material-button / material-select-item
+  const INTERACTIVE = 'button, a, label, [role="button"], [role="menuitem"], [role="option"], [role="checkbox"], [role="radio"], [role="tab"], [role="link"]';
+  const CLICK_DELAY = 800;
+  const MAX_TEXT = 40;
+
+  const steps = [];
+
+  // 1. Thanh công cụ (không được ghi lại)
+  const toolbar = document.createElement('div');
+  toolbar.id = '__my_step_recorder__';
+  Object.assign(toolbar.style, {
+    position: 'fixed',
+    right: '16px',
+    bottom: '16px',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '8px 12px',
+    borderRadius: '8px',
+    background: '#333',
+    color: '#fff',
+    font: '12px/1.4 sans-serif',
+    zIndex: 99999999,
+    boxShadow: '0 4px 12px rgba(0, 0, 0, 0.3)',
+    maxWidth: '420px'
+  });
+
+  const status = document.createElement('span');
+  Object.assign(status.style, { flex: '1', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' });
+
+  const makeButton = (text, background) => {
+    const button = document.createElement('button');
+    button.textContent = text;
+    Object.assign(button.style, {
+      border: 'none',
+      borderRadius: '4px',
+      padding: '4px 10px',
+      background,
+      color: '#fff',
+      cursor: 'pointer',
+      font: 'inherit'
+    });
+    return button;
+  };
+  const saveButton = makeButton('💾 Lưu', '#4CAF50');
+  const cancelButton = makeButton('✕ Hủy', '#F44336');
+
+  toolbar.append(status, saveButton, cancelButton);
+  document.body.appendChild(toolbar);
+
+  const render = () => {
+    const last = steps[steps.length - 1];
+    status.textContent = `⏺ Đang ghi: ${steps.length} bước${last ? ` • ${last.label}` : ''}`;
+  };
+  render();
+
+  // 2. Tạo bước
+  const shortText = (el) => {
+    const text = (el.innerText || el.textContent || '').trim();
+    return text && text.length <= MAX_TEXT && !text.includes('\n') ? text : '';
+  };
+
+  // Giống các bước có sẵn (vd. material-button + "Áp dụng"): selector ngắn + lọc theo chữ nếu đủ để
+  // xác định phần tử, nếu không thì selector đầy đủ theo đường dẫn DOM
+  const locate = (el) => {
+    const text = shortText(el);
+    const short = describeStep(el);
+    if (text) {
+      try {
+        const matches = Array.from(document.querySelectorAll(short)).filter(node => (node.textContent || '').trim().includes(text));
+        if (matches.length === 1) return { selector: short, text };
+      } catch (e) {}
+    }
+    return { selector: buildSelector(el) };
+  };
+
+  const clickTarget = (el) => {
+    let node = el;
+    for (let depth = 0; node && node !== document.body && depth < 6; depth++) {
+      if (node.matches(INTERACTIVE) || node.tagName.includes('-')) return node;
+      node = node.parentElement;
+    }
+    return el;
+  };
+
+  const describeField = (input) =>
+    input.getAttribute('aria-label') || input.getAttribute('placeholder') || input.name || 'ô nhập';
+
+  const addStep = (step) => {
+    steps.push(step);
+    render();
+  };
+
+  // 3. Ghi sự kiện (capture phase, không chặn để trang vẫn phản ứng bình thường)
+  const onClick = (e) => {
+    if (toolbar.contains(e.target) || !e.isTrusted) return;
+    const target = clickTarget(e.target);
+    // Ô nhập / select được ghi bằng sự kiện change
+    if (target.matches('input:not([type="checkbox"]):not([type="radio"]):not([type="button"]):not([type="submit"]), textarea, select, option')) return;
+    const { selector, text } = locate(target);
+    const name = text || target.getAttribute('aria-label') || target.tagName.toLowerCase();
+    addStep({ type: 'click', label: `Bấm "${name}"`, selector, ...(text ? { text } : {}), delay: CLICK_DELAY });
+  };
+
+  const onChange = (e) => {
+    const el = e.target;
+    if (toolbar.contains(el) || !e.isTrusted) return;
+
+    if (el.tagName === 'SELECT') {
+      const option = el.options[el.selectedIndex];
+      if (!option) return;
+      const optionText = option.textContent.trim();
+      addStep({ type: 'select-option', label: `Chọn "${optionText}"`, selector: buildSelector(el), text: optionText, delay: CLICK_DELAY });
+      return;
+    }
+
+    if (!el.matches('input, textarea') || ['checkbox', 'radio', 'file'].includes(el.type)) return;
+    if (el.type === 'password') {
+      // Không bao giờ lưu mật khẩu vào kịch bản
+      status.textContent = '⚠️ Bỏ qua ô mật khẩu';
+      return;
+    }
+    const selector = buildSelector(el);
+    const step = { type: 'type', label: `Nhập ${describeField(el)}`, selector, value: el.value, delay: 300 };
+    // Gõ nhiều lần vào cùng một ô chỉ giữ giá trị cuối
+    const last = steps[steps.length - 1];
+    if (last && last.type === 'type' && last.selector === selector) {
+      steps[steps.length - 1] = step;
+      render();
+    } else {
+      addStep(step);
+    }
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape') cleanup();
+  };
+
+  // 4. Lưu / Hủy
+  saveButton.addEventListener('click', () => {
+    if (steps.length > 0) {
+      chrome.runtime.sendMessage({ action: 'saveRecordedRecipe', steps });
+    }
+    cleanup();
+  });
+  cancelButton.addEventListener('click', cleanup);
+
+  function cleanup() {
+    document.removeEventListener('click', onClick, true);
+    document.removeEventListener('change', onChange, true);
+    document.removeEventListener('keydown', onKeyDown, true);
+    toolbar.remove();
+  }
+
+  document.addEventListener('click', onClick, true);
+  document.addEventListener('change', onChange, true);
+  document.addEventListener('keydown', onKeyDown, true);
+})();
@@ -4,6 +4,10 @@
     return;
   }
 
+  // Mục đích do popup đặt trước khi tiêm: 'capture' (vùng chụp) hoặc 'redaction' (vùng che)
+  const purpose = window.__autoToolSelectPurpose || 'capture';
+  delete window.__autoToolSelectPurpose;
+
   // 1. Tạo các element
   const overlay = document.createElement('div');
   overlay.id = '__my_screenshot_overlay__';
@@ -85,7 +89,8 @@
       chrome.runtime.sendMessage({
         action: "saveCaptureRegion",
         region: captureRegion,
-        dpr: dpr
+        dpr: dpr,
+        purpose
       });
 
     }
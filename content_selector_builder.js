@@ -0,0 +1,58 @@
+// Bộ tạo selector dùng chung cho content_picker.js và content_recorder.js (tiêm trước các file đó)
+(function() {
+  if (window.__autoToolSelectorBuilder) {
+    return;
+  }
+
+  // Ưu tiên id / thuộc tính cố định, tránh class sinh tự động
+  const STABLE_ATTRIBUTES = ['essfield', 'data-testid', 'data-test-id', 'aria-label', 'name', 'role'];
+  const looksGenerated = value => /\d{3,}|^_|ng-|cdk-|mat-mdc-|--/.test(value);
+
+  const isUnique = selector => {
+    try {
+      return document.querySelectorAll(selector).length === 1;
+    } catch (e) {
+      return false;
+    }
+  };
+
+  // Một bước selector: #id, tag[thuộc-tính], hoặc tag.class (thẻ tùy biến như material-button giữ nguyên tên)
+  const describeStep = (el) => {
+    const tag = el.tagName.toLowerCase();
+    if (el.id && !looksGenerated(el.id)) {
+      return `#${CSS.escape(el.id)}`;
+    }
+    for (const attr of STABLE_ATTRIBUTES) {
+      const value = el.getAttribute(attr);
+      if (value && value.length <= 80 && !looksGenerated(value)) {
+        return `${tag}[${attr}="${CSS.escape(value)}"]`;
+      }
+    }
+    const classes = Array.from(el.classList).filter(c => !looksGenerated(c)).slice(0, 2);
+    return tag + classes.map(c => `.${CSS.escape(c)}`).join('');
+  };
+
+  // Đi ngược lên cây DOM cho tới khi selector là duy nhất
+  const buildSelector = (el) => {
+    const steps = [];
+    let node = el;
+    while (node && node.nodeType === 1 && node !== document.documentElement && steps.length < 8) {
+      let step = describeStep(node);
+      const parent = node.parentElement;
+      if (parent && !step.startsWith('#')) {
+        const sameSiblings = Array.from(parent.children).filter(child => child.matches(step));
+        if (sameSiblings.length > 1) {
+          const sameTag = Array.from(parent.children).filter(child => child.tagName === node.tagName);
+          step += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+        }
+      }
+      steps.unshift(step);
+      const selector = steps.join(' > ');
+      if (isUnique(selector)) return selector;
+      node = parent;
+    }
+    return steps.join(' > ');
+  };
+
+  window.__autoToolSelectorBuilder = { describeStep, buildSelector, isUnique, looksGenerated };
+})();
@@ -1,25 +1,41 @@
-chrome.runtime.onMessage.addListener(async (msg) => {
-  if (msg.type === 'capture-tab') {
-    try {
-      const stream = await chrome.tabCapture.capture({
-        audio: false,
-        video: true,
-        targetTabId: msg.tabId
-      });
-      const video = document.createElement('video');
-      video.srcObject = stream;
-      await video.play();
-      await new Promise(r => setTimeout(r, 300)); // chờ frame
-      const canvas = document.createElement('canvas');
-      canvas.width = video.videoWidth;
-      canvas.height = video.videoHeight;
-      const ctx = canvas.getContext('2d');
-      ctx.drawImage(video, 0, 0);
-      stream.getTracks().forEach(t => t.stop());
-      const dataUrl = canvas.toDataURL('image/png');
-      chrome.runtime.sendMessage({ type: 'capture-result', id: msg.id, dataUrl });
-    } catch (err) {
-      chrome.runtime.sendMessage({ type: 'capture-result', id: msg.id, error: err.message });
+// Offscreen document: turns a tab media stream ID (from chrome.tabCapture.getMediaStreamId in the
+// service worker) into a PNG frame. Replies with { type: 'capture-result', id } so the worker can
+// match the answer to its request.
+chrome.runtime.onMessage.addListener((msg) => {
+  if (msg.target !== 'offscreen' || msg.type !== 'capture-tab') return;
+  captureStream(msg)
+    .then(dataUrl => chrome.runtime.sendMessage({ type: 'capture-result', id: msg.id, dataUrl }))
+    .catch(err => chrome.runtime.sendMessage({ type: 'capture-result', id: msg.id, error: err.message }));
+});
+
+async function captureStream({ streamId, width, height }) {
+  const size = width && height
+    ? { minWidth: width, maxWidth: width, minHeight: height, maxHeight: height }
+    : {};
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: false,
+    video: {
+      mandatory: {
+        chromeMediaSource: 'tab',
+        chromeMediaSourceId: streamId,
+        ...size
+      }
     }
+  });
+
+  try {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.srcObject = stream;
+    await video.play();
+    await new Promise(r => setTimeout(r, 300)); // chờ frame
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(video, 0, 0);
+    return canvas.toDataURL('image/png');
+  } finally {
+    stream.getTracks().forEach(t => t.stop());
   }
-});
+}
@@ -25,40 +25,382 @@ function showStatus(message, isError = false) {
     }, 5000); // Xóa thông báo sau 5 giây
 }
 
-// --- HÀM HIỂN THỊ REGION INFO ---
-function updateRegionDisplay(region) {
-    const regionInfo = document.getElementById('regionInfo');
-    const regionText = document.getElementById('regionText');
-    const clearBtn = document.getElementById('clearAreaBtn');
-    
-    if (region && region.width > 0 && region.height > 0) {
-        regionText.textContent = `${region.width} x ${region.height} px`;
-        regionInfo.style.display = 'block';
-        clearBtn.style.display = 'block';
-    } else {
-        regionInfo.style.display = 'none';
-        clearBtn.style.display = 'none';
+// --- HÀM HIỂN THỊ DANH SÁCH VÙNG CHỤP ---
+// onChange(newRegions) được gọi sau mỗi thao tác đổi tên / sắp xếp / xóa
+function renderRegions(regions, onChange) {
+    const list = document.getElementById('regionsList');
+    list.innerHTML = '';
+    document.getElementById('clearAreaBtn').style.display = regions.length > 0 ? 'block' : 'none';
+
+    const move = (from, to) => {
+        const next = regions.slice();
+        const [entry] = next.splice(from, 1);
+        next.splice(to, 0, entry);
+        onChange(next);
+    };
+
+    regions.forEach((entry, index) => {
+        const row = document.createElement('div');
+        row.className = 'region-row';
+
+        const head = document.createElement('div');
+        head.className = 'region-row-head';
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = entry.name || '';
+        nameInput.placeholder = `Vùng ${index + 1}`;
+        nameInput.addEventListener('change', () => {
+            onChange(regions.map(r => r.id === entry.id ? { ...r, name: nameInput.value.trim() || `Vùng ${index + 1}` } : r));
+        });
+
+        const upBtn = document.createElement('button');
+        upBtn.textContent = '↑';
+        upBtn.title = 'Lên trên';
+        upBtn.disabled = index === 0;
+        upBtn.addEventListener('click', () => move(index, index - 1));
+
+        const downBtn = document.createElement('button');
+        downBtn.textContent = '↓';
+        downBtn.title = 'Xuống dưới';
+        downBtn.disabled = index === regions.length - 1;
+        downBtn.addEventListener('click', () => move(index, index + 1));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = '✕';
+        removeBtn.title = 'Xóa vùng';
+        removeBtn.style.background = '#f5576c';
+        removeBtn.addEventListener('click', () => onChange(regions.filter(r => r.id !== entry.id)));
+
+        head.append(nameInput, upBtn, downBtn, removeBtn);
+
+        const meta = document.createElement('div');
+        meta.className = 'region-meta';
+        meta.textContent = `${entry.region.width} x ${entry.region.height} px`
+            + (entry.anchor ? ` • 🎯 ${entry.anchor.selector}` : '');
+
+        row.append(head, meta);
+
+        // Vùng theo phần tử: cảnh báo nếu lần chạy gần nhất không còn tìm thấy
+        if (entry.anchor && entry.anchorMissing) {
+            const warning = document.createElement('div');
+            warning.className = 'anchor-warning';
+            warning.textContent = '⚠️ Lần chạy gần nhất không tìm thấy phần tử, đã dùng vùng pixel cũ. Hãy chọn lại phần tử.';
+            row.appendChild(warning);
+        }
+
+        list.appendChild(row);
+    });
+}
+
+// --- HÀM HIỂN THỊ VÙNG CHE ---
+const REDACTION_STYLE_LABELS = { blur: 'Làm mờ', pixelate: 'Pixel hóa', fill: 'Tô đen' };
+
+function renderRedactions(redactions, onChange) {
+    const list = document.getElementById('redactionsList');
+    list.innerHTML = '';
+
+    redactions.forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'redaction-row';
+
+        const styleSelect = document.createElement('select');
+        Object.entries(REDACTION_STYLE_LABELS).forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            styleSelect.appendChild(option);
+        });
+        styleSelect.value = entry.style || 'blur';
+        styleSelect.addEventListener('change', () => {
+            onChange(redactions.map(r => r.id === entry.id ? { ...r, style: styleSelect.value } : r));
+        });
+
+        const meta = document.createElement('span');
+        meta.className = 'region-meta';
+        meta.textContent = entry.anchor
+            ? `🎯 ${entry.anchor.selector}`
+            : `${entry.region.width} x ${entry.region.height} px tại (${entry.region.x}, ${entry.region.y})`;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = '✕';
+        removeBtn.addEventListener('click', () => onChange(redactions.filter(r => r.id !== entry.id)));
+
+        row.append(styleSelect, meta, removeBtn);
+        list.appendChild(row);
+    });
+}
+
+// --- HÀM HIỂN THỊ LỊCH SỬ CHẠY ---
+const RUN_STATUS_ICONS = { sent: '✅', heartbeat: '💓', skipped: '💤', queued: '⏳', failed: '❌', blocked: '🔒' };
+const STEP_STATUS_ICONS = { ok: '✓', skipped: '⏭', failed: '✗' };
+
+function renderRunLog(entries = []) {
+    const container = document.getElementById('runLog');
+    if (entries.length === 0) return;
+    container.innerHTML = '';
+    entries.slice(0, 20).forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'run-log-entry';
+        const time = document.createElement('time');
+        time.textContent = new Date(entry.at).toLocaleString('vi-VN');
+        row.append(time, `${RUN_STATUS_ICONS[entry.status] || '•'} ${entry.account ? `[${entry.account}] ` : ''}${entry.message || ''}`);
+        if (entry.sheetUrl) {
+            const link = document.createElement('a');
+            link.href = entry.sheetUrl;
+            link.target = '_blank';
+            link.textContent = ' 📄 Google Sheet';
+            row.appendChild(link);
+        }
+        // Tóm tắt kịch bản, bấm để xem từng bước
+        if (entry.steps && entry.steps.length > 0) {
+            const details = document.createElement('details');
+            details.className = 'run-log-steps';
+            const summary = document.createElement('summary');
+            summary.textContent = `🧩 ${entry.stepSummary || `${entry.steps.length} bước`}`;
+            details.appendChild(summary);
+            entry.steps.forEach(step => {
+                const line = document.createElement('div');
+                line.className = `run-log-step ${step.status}`;
+                line.textContent = `${STEP_STATUS_ICONS[step.status] || '•'} ${step.label} (${step.ms}ms)` +
+                    (step.error ? ` — ${step.error}` : '');
+                if (step.selector) line.title = step.selector;
+                details.appendChild(line);
+            });
+            row.appendChild(details);
+        }
+        container.appendChild(row);
+    });
+}
+
+// Monitor cũ chỉ có một captureRegion (+ captureAnchor)
+function getCaptureRegions(monitor) {
+    if (Array.isArray(monitor.captureRegions)) return monitor.captureRegions;
+    if (monitor.captureRegion?.width > 0 && monitor.captureRegion?.height > 0) {
+        return [{
+            id: 'region_1',
+            name: 'Vùng chụp',
+            region: monitor.captureRegion,
+            dpr: monitor.dpr || 1,
+            anchor: monitor.captureAnchor || null,
+            anchorMissing: monitor.anchorMissing || false
+        }];
     }
+    return [];
+}
+
+// --- HÀM ĐÍCH GỬI ---
+const DESTINATION_PLACEHOLDERS = {
+    telegram: 'Chat ID, ví dụ -100123456789',
+    slack: 'https://hooks.slack.com/services/...',
+    discord: 'https://discord.com/api/webhooks/...',
+    webhook: 'https://example.com/report-hook'
+};
+
+function addDestinationRow(dest = {}, status = null) {
+    const list = document.getElementById('destinationsList');
+    const row = document.createElement('div');
+    row.className = 'destination-row';
+    row.dataset.id = dest.id || `dst_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
+
+    const typeSelect = document.createElement('select');
+    ['telegram', 'slack', 'discord', 'webhook'].forEach(type => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = type.charAt(0).toUpperCase() + type.slice(1);
+        typeSelect.appendChild(option);
+    });
+    typeSelect.value = dest.type || 'telegram';
+
+    const targetInput = document.createElement('input');
+    targetInput.type = 'text';
+    targetInput.value = (dest.type === 'telegram' ? dest.chatId : dest.url) || '';
+    targetInput.placeholder = DESTINATION_PLACEHOLDERS[typeSelect.value];
+    typeSelect.addEventListener('change', () => {
+        targetInput.placeholder = DESTINATION_PLACEHOLDERS[typeSelect.value];
+    });
+
+    // Trạng thái lần gửi gần nhất của đích này
+    const statusSpan = document.createElement('span');
+    statusSpan.className = 'destination-status';
+    if (status) {
+        statusSpan.textContent = status.ok ? '✓' : '✗';
+        statusSpan.style.color = status.ok ? 'green' : 'red';
+        statusSpan.title = status.ok
+            ? `Gửi thành công lúc ${new Date(status.at).toLocaleString('vi-VN')}`
+            : `Lỗi: ${status.error}`;
+    }
+
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = '✕';
+    removeBtn.addEventListener('click', () => row.remove());
+
+    row.append(typeSelect, targetInput, statusSpan, removeBtn);
+    list.appendChild(row);
+}
+
+function renderDestinations(destinations = [], lastDelivery = []) {
+    document.getElementById('destinationsList').innerHTML = '';
+    destinations.forEach(dest => {
+        addDestinationRow(dest, lastDelivery.find(r => r.destinationId === dest.id));
+    });
+}
+
+function readDestinationsFromUI() {
+    return Array.from(document.querySelectorAll('#destinationsList .destination-row'))
+        .map(row => {
+            const type = row.querySelector('select').value;
+            const target = row.querySelector('input').value.trim();
+            if (!target) return null;
+            return type === 'telegram'
+                ? { id: row.dataset.id, type, chatId: target }
+                : { id: row.dataset.id, type, url: target };
+        })
+        .filter(Boolean);
+}
+
+// URL đích gửi (Slack/Discord/webhook): phải là http(s) có host, trả về origin hoặc null
+function getDestinationOrigin(url) {
+    try {
+        const parsed = new URL(url);
+        if (!/^https?:$/.test(parsed.protocol) || !parsed.hostname) return null;
+        return parsed.origin;
+    } catch (e) {
+        return null;
+    }
+}
+
+// --- HÀM NHIỀU TÀI KHOẢN ---
+function addAccountRow(account = {}) {
+    const list = document.getElementById('accountsList');
+    const row = document.createElement('div');
+    row.className = 'account-row';
+    row.dataset.id = account.id || `acc_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
+
+    const makeInput = (field, placeholder) => {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.dataset.field = field;
+        input.value = account[field] || '';
+        input.placeholder = placeholder;
+        return input;
+    };
+
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = '✕';
+    removeBtn.addEventListener('click', () => row.remove());
+
+    row.append(
+        makeInput('ocid', 'ocid'),
+        makeInput('c', '__c (customer ID)'),
+        removeBtn,
+        makeInput('chatId', 'Chat ID'),
+        makeInput('label', 'Tên hiển thị ({account})')
+    );
+    list.appendChild(row);
+}
+
+function renderAccounts(accounts = []) {
+    document.getElementById('accountsList').innerHTML = '';
+    accounts.forEach(account => addAccountRow(account));
+}
+
+function readAccountsFromUI() {
+    return Array.from(document.querySelectorAll('#accountsList .account-row'))
+        .map(row => {
+            const account = { id: row.dataset.id };
+            row.querySelectorAll('input').forEach(input => {
+                account[input.dataset.field] = input.value.trim();
+            });
+            return account;
+        })
+        .filter(account => account.ocid || account.c);
+}
+
+// --- HÀM LỊCH GỬI ---
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+function parseScheduleTimes(text) {
+    return text.split(',')
+        .map(t => t.trim())
+        .filter(t => t !== '');
+}
+
+function toggleScheduleRows(type) {
+    document.getElementById('intervalRow').style.visibility = type === 'interval' ? 'visible' : 'hidden';
+    document.getElementById('timesRow').style.display = type === 'times' ? 'block' : 'none';
+}
+
+function applyScheduleToUI(schedule) {
+    const scheduleType = schedule?.type === 'times' ? 'times' : 'interval';
+    document.getElementById('scheduleType').value = scheduleType;
+    if (schedule?.interval) {
+        document.getElementById('interval').value = schedule.interval;
+    }
+    if (scheduleType === 'times') {
+        document.getElementById('scheduleTimes').value = (schedule.times || []).join(', ');
+        const weekdays = schedule.weekdays || [];
+        document.querySelectorAll('#scheduleWeekdays input').forEach(cb => {
+            cb.checked = weekdays.includes(parseInt(cb.value, 10));
+        });
+    }
+    toggleScheduleRows(scheduleType);
+}
+
+// Trả về { schedule } hoặc { error } nếu dữ liệu không hợp lệ
+function readScheduleFromUI() {
+    const type = document.getElementById('scheduleType').value;
+    if (type === 'interval') {
+        const interval = parseInt(document.getElementById('interval').value, 10);
+        if (!(interval >= 1)) return { error: 'Vui lòng đặt thời gian > 0.' };
+        return { schedule: { type: 'interval', interval } };
+    }
+    
+    const times = parseScheduleTimes(document.getElementById('scheduleTimes').value);
+    if (times.length === 0) return { error: 'Vui lòng nhập ít nhất một giờ gửi (HH:MM).' };
+    const invalid = times.find(t => !TIME_PATTERN.test(t));
+    if (invalid) return { error: `Giờ không hợp lệ: "${invalid}" (định dạng HH:MM).` };
+    
+    const weekdays = Array.from(document.querySelectorAll('#scheduleWeekdays input:checked'))
+        .map(cb => parseInt(cb.value, 10));
+    if (weekdays.length === 0) return { error: 'Vui lòng chọn ít nhất một ngày trong tuần.' };
+    
+    return { schedule: { type: 'times', times, weekdays } };
 }
 
 // --- HÀM COUNTDOWN ---
 let countdownInterval = null;
-function startCountdown(intervalMinutes) {
+function startCountdown(monitorId) {
     const countdownDiv = document.getElementById('countdown');
-    let secondsLeft = intervalMinutes * 60;
+    let nextRunAt = null;
+    
+    // Thời điểm chạy tiếp theo lấy từ alarm của background (đúng cho cả lịch theo giờ)
+    const refreshNextRun = () => {
+        chrome.alarms.get(`autoSend_${monitorId}`, (alarm) => {
+            nextRunAt = alarm ? alarm.scheduledTime : null;
+        });
+    };
     
     const updateDisplay = () => {
-        const minutes = Math.floor(secondsLeft / 60);
+        if (!nextRunAt) {
+            countdownDiv.textContent = '⏱️ Chưa có lịch gửi tiếp theo';
+            return;
+        }
+        const secondsLeft = Math.max(0, Math.round((nextRunAt - Date.now()) / 1000));
+        const hours = Math.floor(secondsLeft / 3600);
+        const minutes = Math.floor((secondsLeft % 3600) / 60);
         const seconds = secondsLeft % 60;
-        countdownDiv.textContent = `⏱️ Gửi tiếp trong: ${minutes}:${seconds.toString().padStart(2, '0')}`;
-        secondsLeft--;
+        const prefix = hours > 0 ? `${hours}h ` : '';
+        countdownDiv.textContent = `⏱️ Gửi tiếp trong: ${prefix}${minutes}:${seconds.toString().padStart(2, '0')}`;
         
-        if (secondsLeft < 0) {
-            secondsLeft = intervalMinutes * 60; // Reset
+        if (secondsLeft === 0) {
+            refreshNextRun(); // Alarm đã chạy, lấy lần kế tiếp
         }
     };
     
+    stopCountdown();
     countdownDiv.style.display = 'block';
+    refreshNextRun();
     updateDisplay();
     countdownInterval = setInterval(updateDisplay, 1000);
 }
@@ -77,19 +419,46 @@ function stopCountdown() {
 
 document.addEventListener('DOMContentLoaded', async () => {
   let activeTabId = null;
+  let activeTabUrl = null;
+  let monitorId = null;
   const sendBtn = document.getElementById('sendTelegramBtn');
   const intervalInput = document.getElementById('interval');
+  const scheduleTypeSelect = document.getElementById('scheduleType');
+  const scheduleTimesInput = document.getElementById('scheduleTimes');
+  const weekdayCheckboxes = document.querySelectorAll('#scheduleWeekdays input');
   const pageLoadTimeoutInput = document.getElementById('pageLoadTimeout');
   const startDateInput = document.getElementById('startDate');
   const endDateInput = document.getElementById('endDate');
+  const datePresetSelect = document.getElementById('datePreset');
+  const fixedDateRow = document.getElementById('fixedDateRow');
   const fileNameInput = document.getElementById('fileName');
   const enableLopCheckbox = document.getElementById('enableLop');
+  const exportModeSelect = document.getElementById('exportMode');
   const enableScrollToBottomCheckbox = document.getElementById('enableScrollToBottom');
+  const monitorNameInput = document.getElementById('monitorName');
+  const monitorUrlText = document.getElementById('monitorUrl');
+  const accountLabelInput = document.getElementById('accountLabel');
+  const captionTemplateInput = document.getElementById('captionTemplate');
+  const parseModeSelect = document.getElementById('parseMode');
+  const captionStepSummaryCheckbox = document.getElementById('captionStepSummary');
+  const captureModeSelect = document.getElementById('captureMode');
+  const onlySendOnChangeCheckbox = document.getElementById('onlySendOnChange');
+  const healthCheckCheckbox = document.getElementById('healthCheck');
+  const changeThresholdInput = document.getElementById('changeThreshold');
+  const heartbeatAfterInput = document.getElementById('heartbeatAfter');
+  const regionDeliverySelect = document.getElementById('regionDelivery');
+  const diffModeSelect = document.getElementById('diffMode');
+  const recipeJsonInput = document.getElementById('recipeJson');
+  const uiLocaleSelect = document.getElementById('uiLocale');
+  const fullPageOptions = document.getElementById('fullPageOptions');
+  const splitFullPageCheckbox = document.getElementById('splitFullPage');
+  const fullPageSplitHeightInput = document.getElementById('fullPageSplitHeight');
 
   // Lấy tab hiện tại để biết ID
   const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
   if (tabs.length > 0) {
     activeTabId = tabs[0].id;
+    activeTabUrl = tabs[0].url;
   }
 
   // Hàm cập nhật giao diện nút bấm
@@ -97,76 +466,188 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (isAutoRunning) {
           sendBtn.textContent = '🔴 Dừng Auto';
           sendBtn.classList.add('running');
-          intervalInput.disabled = true;
-          pageLoadTimeoutInput.disabled = true;
       } else {
           sendBtn.textContent = '🚀 Bắt đầu Auto';
           sendBtn.classList.remove('running');
-          intervalInput.disabled = false;
-          pageLoadTimeoutInput.disabled = false;
       }
+      intervalInput.disabled = isAutoRunning;
+      pageLoadTimeoutInput.disabled = isAutoRunning;
+      scheduleTypeSelect.disabled = isAutoRunning;
+      scheduleTimesInput.disabled = isAutoRunning;
+      weekdayCheckboxes.forEach(cb => { cb.disabled = isAutoRunning; });
+  };
+
+  scheduleTypeSelect.addEventListener('change', () => toggleScheduleRows(scheduleTypeSelect.value));
+
+  // Ngày cố định chỉ hiển thị khi không chọn preset
+  const toggleFixedDates = () => {
+      fixedDateRow.style.display = datePresetSelect.value ? 'none' : 'block';
+  };
+  datePresetSelect.addEventListener('change', toggleFixedDates);
+
+  // Danh sách vùng chụp: lưu ngay sau mỗi thao tác (vùng mới được thêm từ trang qua background)
+  let captureRegions = [];
+  const saveRegions = (regions) => {
+      captureRegions = regions;
+      renderRegions(captureRegions, saveRegions);
+      chrome.runtime.sendMessage({ action: 'updateMonitor', tabId: activeTabId, patch: { captureRegions } }, (response) => {
+          if (chrome.runtime.lastError || !response || response.error) {
+              showStatus(`Lỗi: ${chrome.runtime.lastError?.message || response?.error || 'không lưu được vùng chụp'}`, true);
+          }
+      });
+  };
+
+  let redactions = [];
+  const saveRedactions = (next) => {
+      redactions = next;
+      renderRedactions(redactions, saveRedactions);
+      chrome.runtime.sendMessage({ action: 'updateMonitor', tabId: activeTabId, patch: { redactions } }, (response) => {
+          if (chrome.runtime.lastError || !response || response.error) {
+              showStatus(`Lỗi: ${chrome.runtime.lastError?.message || response?.error || 'không lưu được vùng che'}`, true);
+          }
+      });
+  };
+
+  const toggleChangeOptions = () => {
+      document.getElementById('changeOptions').style.display = onlySendOnChangeCheckbox.checked ? 'grid' : 'none';
   };
+  onlySendOnChangeCheckbox.addEventListener('change', toggleChangeOptions);
+
+  // Tùy chọn chia ảnh chỉ dùng cho chế độ toàn trang
+  const toggleFullPageOptions = () => {
+      fullPageOptions.style.display = captureModeSelect.value === 'fullPage' ? 'block' : 'none';
+  };
+  captureModeSelect.addEventListener('change', toggleFullPageOptions);
 
   // Tải cài đặt và cập nhật UI
   if (activeTabId) {
-      chrome.storage.local.get(['globalSettings', 'tabSettings'], (data) => {
+      chrome.storage.local.get('globalSettings', (data) => {
           const globalSettings = data.globalSettings || {};
-          const tabSettings = data.tabSettings || {};
-          const tabSpecificSettings = tabSettings[activeTabId] || {};
-
           if (globalSettings.botToken) {
               document.getElementById('botToken').value = globalSettings.botToken;
           }
-          if (tabSpecificSettings.chatId) {
-              document.getElementById('chatId').value = tabSpecificSettings.chatId;
+          document.getElementById('commandChatIds').value = (globalSettings.commandChatIds || []).join(', ');
+          document.getElementById('operatorChatId').value = globalSettings.operatorChatId || '';
+      });
+
+      // Monitor gắn với tab này (không tạo mới khi chỉ mở popup)
+      chrome.runtime.sendMessage({ action: 'getMonitorForTab', tabId: activeTabId, create: false }, (response) => {
+          const monitor = response?.monitor || {};
+          monitorId = monitor.id || null;
+
+          monitorNameInput.value = monitor.name || '';
+          monitorUrlText.textContent = monitor.url || activeTabUrl || '';
+          if (monitor.chatId) {
+              document.getElementById('chatId').value = monitor.chatId;
           }
-          if (tabSpecificSettings.interval) {
-              intervalInput.value = tabSpecificSettings.interval;
+          renderDestinations(monitor.destinations, monitor.lastDelivery);
+          renderAccounts(monitor.accounts);
+          accountLabelInput.value = monitor.accountLabel || '';
+          captionTemplateInput.value = monitor.captionTemplate || '';
+          parseModeSelect.value = monitor.parseMode || '';
+          captionStepSummaryCheckbox.checked = monitor.captionStepSummary || false;
+          if (monitor.interval) {
+              intervalInput.value = monitor.interval;
           }
-          if (tabSpecificSettings.pageLoadTimeout) {
-              pageLoadTimeoutInput.value = tabSpecificSettings.pageLoadTimeout;
+          applyScheduleToUI(monitor.schedule);
+          if (monitor.pageLoadTimeout) {
+              pageLoadTimeoutInput.value = monitor.pageLoadTimeout;
           }
-          if (tabSpecificSettings.startDate) {
-              startDateInput.value = tabSpecificSettings.startDate;
+          if (monitor.startDate) {
+              startDateInput.value = monitor.startDate;
           }
-          if (tabSpecificSettings.endDate) {
-              endDateInput.value = tabSpecificSettings.endDate;
+          if (monitor.endDate) {
+              endDateInput.value = monitor.endDate;
           }
-          if (tabSpecificSettings.fileName) {
-              fileNameInput.value = tabSpecificSettings.fileName;
+          datePresetSelect.value = monitor.datePreset || '';
+          toggleFixedDates();
+          if (monitor.fileName) {
+              fileNameInput.value = monitor.fileName;
           }
-          if (tabSpecificSettings.enableLop !== undefined) {
-              enableLopCheckbox.checked = tabSpecificSettings.enableLop;
+          if (monitor.enableLop !== undefined) {
+              enableLopCheckbox.checked = monitor.enableLop;
           }
-          if (tabSpecificSettings.enableScrollToBottom !== undefined) {
-              enableScrollToBottomCheckbox.checked = tabSpecificSettings.enableScrollToBottom;
+          if (monitor.enableScrollToBottom !== undefined) {
+              enableScrollToBottomCheckbox.checked = monitor.enableScrollToBottom;
           }
           
           // Hiển thị region nếu có
-          updateRegionDisplay(tabSpecificSettings.captureRegion);
+          captureRegions = getCaptureRegions(monitor);
+          renderRegions(captureRegions, saveRegions);
+          regionDeliverySelect.value = monitor.regionDelivery || 'album';
+          diffModeSelect.value = monitor.diffMode || 'off';
+          uiLocaleSelect.value = monitor.uiLocale || 'auto';
+          exportModeSelect.value = monitor.exportMode || 'sheets';
+          recipeJsonInput.value = monitor.recipe ? JSON.stringify(monitor.recipe, null, 2) : '';
+          redactions = monitor.redactions || [];
+          renderRedactions(redactions, saveRedactions);
+          onlySendOnChangeCheckbox.checked = monitor.onlySendOnChange || false;
+          healthCheckCheckbox.checked = monitor.healthCheck !== false;
+          if (monitor.changeThreshold !== undefined) {
+              changeThresholdInput.value = monitor.changeThreshold;
+          }
+          if (monitor.heartbeatAfter !== undefined) {
+              heartbeatAfterInput.value = monitor.heartbeatAfter;
+          }
+          toggleChangeOptions();
+          if (monitorId) {
+              chrome.storage.local.get('runLogs', (data) => renderRunLog((data.runLogs || {})[monitorId]));
+          }
+          captureModeSelect.value = monitor.captureMode || 'viewport';
+          splitFullPageCheckbox.checked = monitor.splitFullPage || false;
+          if (monitor.fullPageSplitHeight) {
+              fullPageSplitHeightInput.value = monitor.fullPageSplitHeight;
+          }
+          toggleFullPageOptions();
           
-          const isRunning = tabSpecificSettings.isAutoRunning || false;
+          const isRunning = monitor.isAutoRunning || false;
           updateButtonUI(isRunning);
           
+          // Monitor bị dừng vì trang đăng xuất / lỗi quyền: nhắc người dùng sửa rồi bật lại
+          if (monitor.pausedReason) {
+              const warning = document.getElementById('pausedWarning');
+              warning.textContent = `🔒 Monitor đã tự dừng lúc ${new Date(monitor.pausedReason.at).toLocaleString('vi-VN')} (${monitor.pausedReason.detail}). Sửa trang (đăng nhập lại...) rồi bấm Bắt đầu Auto.`;
+              warning.style.display = 'block';
+          }
+          
           // Bắt đầu countdown nếu đang chạy
           if (isRunning) {
-              startCountdown(tabSpecificSettings.interval || 10);
+              startCountdown(monitorId);
           }
       });
   }
 
 
+  // Số báo cáo đang chờ gửi lại (outbox)
+  chrome.runtime.sendMessage({ action: 'getOutboxCount' }, (response) => {
+      const outboxInfo = document.getElementById('outboxInfo');
+      if (response?.count > 0) {
+          outboxInfo.textContent = `📮 ${response.count} báo cáo đang chờ gửi lại`;
+          outboxInfo.style.display = 'block';
+      }
+  });
+
+  document.getElementById('addDestinationBtn').addEventListener('click', () => addDestinationRow());
+  document.getElementById('addAccountBtn').addEventListener('click', () => addAccountRow());
+
   // Xử lý nút Lưu
   document.getElementById('saveTelegramBtn').addEventListener('click', () => {
     const botToken = document.getElementById('botToken').value;
     const chatId = document.getElementById('chatId').value;
-    const interval = parseInt(intervalInput.value, 10);
+    const { schedule, error: scheduleError } = readScheduleFromUI();
     const pageLoadTimeout = parseInt(pageLoadTimeoutInput.value, 10);
     const startDate = startDateInput.value;
     const endDate = endDateInput.value;
+    const datePreset = datePresetSelect.value;
     const fileName = fileNameInput.value.trim();
     const enableLop = enableLopCheckbox.checked;
     const enableScrollToBottom = enableScrollToBottomCheckbox.checked;
+    const name = monitorNameInput.value.trim();
+    const destinations = readDestinationsFromUI();
+    const commandChatIds = document.getElementById('commandChatIds').value
+        .split(',')
+        .map(id => id.trim())
+        .filter(id => id !== '');
 
     if (!botToken) {
       showStatus('Vui lòng nhập Bot Token.', true);
@@ -176,31 +657,141 @@ document.addEventListener('DOMContentLoaded', async () => {
         showStatus('Không thể xác định tab hiện tại.', true);
         return;
     }
+    if (scheduleError) {
+        showStatus(scheduleError, true);
+        return;
+    }
+    if (!datePreset && (startDate || endDate) && !(startDate && endDate)) {
+        showStatus('Vui lòng nhập cả ngày bắt đầu và ngày kết thúc.', true);
+        return;
+    }
+    const invalidUrl = destinations.find(d => d.type !== 'telegram' && !getDestinationOrigin(d.url));
+    if (invalidUrl) {
+        showStatus(`URL không hợp lệ: ${invalidUrl.url}`, true);
+        return;
+    }
 
-    chrome.storage.local.get(['globalSettings', 'tabSettings'], (data) => {
-        let globalSettings = data.globalSettings || {};
-        let tabSettings = data.tabSettings || {};
+    // Kịch bản tùy chỉnh (background kiểm tra cấu trúc khi lưu)
+    let recipe = null;
+    if (recipeJsonInput.value.trim()) {
+        try {
+            recipe = JSON.parse(recipeJsonInput.value);
+        } catch (e) {
+            showStatus(`Kịch bản JSON lỗi cú pháp: ${e.message}`, true);
+            return;
+        }
+    }
+
+    // Webhook tùy chỉnh cần quyền truy cập host (phải xin ngay trong sự kiện click)
+    const webhookOrigins = destinations
+        .filter(d => d.type === 'webhook')
+        .map(d => `${getDestinationOrigin(d.url)}/*`);
+    if (webhookOrigins.length > 0) {
+        chrome.permissions.request({ origins: webhookOrigins }, (granted) => {
+            if (!granted) showStatus('Chưa cấp quyền gửi tới webhook, gửi có thể thất bại.', true);
+        });
+    }
 
+    chrome.storage.local.get('globalSettings', (data) => {
+        let globalSettings = data.globalSettings || {};
         globalSettings.botToken = botToken;
+        globalSettings.commandChatIds = commandChatIds;
+        globalSettings.operatorChatId = document.getElementById('operatorChatId').value.trim();
+        chrome.storage.local.set({ globalSettings }, () => {
+            // Bật lại vòng lặp nhận lệnh nếu vừa cấu hình chat điều khiển
+            chrome.runtime.sendMessage({ action: 'restartBotPolling' });
+        });
+    });
 
-        if (!tabSettings[activeTabId]) {
-            tabSettings[activeTabId] = {};
+    // Lưu vào monitor (URL = trang đang mở, để tự gắn lại tab sau khi khởi động lại trình duyệt)
+    const patch = {
+        chatId,
+        destinations,
+        accountLabel: accountLabelInput.value.trim(),
+        captionTemplate: captionTemplateInput.value,
+        parseMode: parseModeSelect.value,
+        captionStepSummary: captionStepSummaryCheckbox.checked,
+        schedule,
+        pageLoadTimeout,
+        startDate,
+        endDate,
+        datePreset,
+        fileName,
+        enableLop,
+        enableScrollToBottom,
+        captureMode: captureModeSelect.value,
+        regionDelivery: regionDeliverySelect.value,
+        diffMode: diffModeSelect.value,
+        recipe,
+        uiLocale: uiLocaleSelect.value,
+        exportMode: exportModeSelect.value,
+        healthCheck: healthCheckCheckbox.checked,
+        accounts: readAccountsFromUI(),
+        onlySendOnChange: onlySendOnChangeCheckbox.checked,
+        changeThreshold: Math.max(0, parseFloat(changeThresholdInput.value) || 0),
+        heartbeatAfter: Math.max(0, parseInt(heartbeatAfterInput.value, 10) || 0),
+        splitFullPage: splitFullPageCheckbox.checked,
+        fullPageSplitHeight: parseInt(fullPageSplitHeightInput.value, 10) || 4000,
+        url: activeTabUrl
+    };
+    if (name) patch.name = name;
+
+    chrome.runtime.sendMessage({ action: 'updateMonitor', tabId: activeTabId, patch }, (response) => {
+        if (chrome.runtime.lastError || !response || response.error) {
+            showStatus(`Lỗi: ${chrome.runtime.lastError?.message || response?.error || 'không lưu được'}`, true);
+            return;
         }
-        tabSettings[activeTabId].chatId = chatId;
-        tabSettings[activeTabId].interval = interval;
-        tabSettings[activeTabId].pageLoadTimeout = pageLoadTimeout;
-        tabSettings[activeTabId].startDate = startDate;
-        tabSettings[activeTabId].endDate = endDate;
-        tabSettings[activeTabId].fileName = fileName;
-        tabSettings[activeTabId].enableLop = enableLop;
-        tabSettings[activeTabId].enableScrollToBottom = enableScrollToBottom;
-
-        chrome.storage.local.set({ globalSettings, tabSettings }, () => {
-          showStatus('Đã lưu thông tin!');
+        monitorId = response.monitor.id;
+        monitorNameInput.value = response.monitor.name;
+        monitorUrlText.textContent = response.monitor.url;
+        showStatus('Đã lưu thông tin!');
+    });
+  });
+
+  // Ghi thao tác: bấm / nhập / chọn trên trang được lưu thành kịch bản của monitor
+  document.getElementById('recordStepsBtn').addEventListener('click', () => {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (tabs.length > 0) {
+        chrome.scripting.executeScript({
+          target: { tabId: tabs[0].id },
+          files: ['content_selector_builder.js', 'content_recorder.js']
         });
+        window.close();
+      }
+    });
+  });
+
+  // Kịch bản: nạp mẫu mặc định theo các tùy chọn hiện tại, hoặc nhập từ file
+  document.getElementById('loadDefaultRecipeBtn').addEventListener('click', () => {
+    const options = {
+        enableLop: enableLopCheckbox.checked,
+        enableScrollToBottom: enableScrollToBottomCheckbox.checked,
+        exportMode: exportModeSelect.value,
+        fileName: fileNameInput.value.trim()
+    };
+    chrome.runtime.sendMessage({ action: 'getDefaultRecipe', options }, (response) => {
+        if (response?.recipe) {
+            recipeJsonInput.value = JSON.stringify(response.recipe, null, 2);
+            showStatus('Đã nạp kịch bản mặc định, nhấn Lưu để áp dụng.');
+        }
     });
   });
 
+  const recipeFileInput = document.getElementById('recipeFile');
+  document.getElementById('importRecipeBtn').addEventListener('click', () => recipeFileInput.click());
+  recipeFileInput.addEventListener('change', async () => {
+    const file = recipeFileInput.files[0];
+    if (!file) return;
+    try {
+        const text = await file.text();
+        recipeJsonInput.value = JSON.stringify(JSON.parse(text), null, 2);
+        showStatus(`Đã nhập "${file.name}", nhấn Lưu để áp dụng.`);
+    } catch (e) {
+        showStatus(`File không phải JSON hợp lệ: ${e.message}`, true);
+    }
+    recipeFileInput.value = '';
+  });
+
   // 1. XỬ LÝ NÚT CHỌN VÙNG
   document.getElementById('selectAreaBtn').addEventListener('click', () => {
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
@@ -214,6 +805,36 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   });
 
+  // 1a. XỬ LÝ NÚT CHỌN THEO PHẦN TỬ
+  document.getElementById('pickElementBtn').addEventListener('click', () => {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (tabs.length > 0) {
+        chrome.scripting.executeScript({
+          target: { tabId: tabs[0].id },
+          files: ['content_selector_builder.js', 'content_picker.js']
+        });
+        window.close();
+      }
+    });
+  });
+
+  // 1c. XỬ LÝ NÚT VÙNG CHE (dùng lại overlay chọn vùng / chọn phần tử)
+  const injectRedactionSelector = (files) => {
+    chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
+      if (tabs.length > 0) {
+        const target = { tabId: tabs[0].id };
+        await chrome.scripting.executeScript({
+          target,
+          func: () => { window.__autoToolSelectPurpose = 'redaction'; }
+        });
+        await chrome.scripting.executeScript({ target, files });
+        window.close();
+      }
+    });
+  };
+  document.getElementById('redactAreaBtn').addEventListener('click', () => injectRedactionSelector(['content_selector.js']));
+  document.getElementById('redactElementBtn').addEventListener('click', () => injectRedactionSelector(['content_selector_builder.js', 'content_picker.js']));
+
   // 1b. XỬ LÝ NÚT XÓA VÙNG
   document.getElementById('clearAreaBtn').addEventListener('click', () => {
     if (!activeTabId) return;
@@ -223,8 +844,9 @@ document.addEventListener('DOMContentLoaded', async () => {
       tabId: activeTabId
     }, (response) => {
       if (response && response.status === 'cleared') {
-        updateRegionDisplay(null);
-        showStatus('Đã xóa vùng chụp!');
+        captureRegions = [];
+        renderRegions(captureRegions, saveRegions);
+        showStatus('Đã xóa tất cả vùng chụp!');
       }
     });
   });
@@ -239,51 +861,51 @@ document.addEventListener('DOMContentLoaded', async () => {
         return;
     }
 
-    chrome.storage.local.get('tabSettings', (data) => {
-        const tabSettings = data.tabSettings || {};
-        const isCurrentlyRunning = tabSettings[activeTabId]?.isAutoRunning || false;
+    chrome.runtime.sendMessage({ action: 'getMonitorForTab', tabId: activeTabId, create: false }, (lookup) => {
+        const monitor = lookup?.monitor || {};
+        const isCurrentlyRunning = monitor.isAutoRunning || false;
         const action = isCurrentlyRunning ? "stopAutoSend" : "startAutoSend";
-        const interval = parseInt(intervalInput.value, 10);
+        const { schedule, error: scheduleError } = readScheduleFromUI();
         const pageLoadTimeout = parseInt(pageLoadTimeoutInput.value, 10);
 
-        console.log(`[POPUP] Action: ${action}, Tab: ${activeTabId}, Interval: ${interval}min, Timeout: ${pageLoadTimeout}ms`);
-        console.log(`[POPUP] Current settings:`, tabSettings[activeTabId]);
+        console.log(`[POPUP] Action: ${action}, Tab: ${activeTabId}, Schedule:`, schedule, `Timeout: ${pageLoadTimeout}ms`);
+        console.log(`[POPUP] Current monitor:`, monitor);
 
-        if (action === "startAutoSend" && (!tabSettings[activeTabId]?.chatId || interval < 1)) {
-            console.warn('[POPUP] Missing chatId or invalid interval');
-            showStatus('Vui lòng lưu Chat ID và đặt thời gian > 0.', true);
+        if (action === "startAutoSend" && !monitor.chatId && !(monitor.destinations || []).length &&
+            !(monitor.accounts || []).some(account => account.chatId)) {
+            console.warn('[POPUP] Missing chatId / destinations');
+            showStatus('Vui lòng lưu Chat ID hoặc đích gửi trước.', true);
+            return;
+        }
+        if (action === "startAutoSend" && scheduleError) {
+            console.warn('[POPUP] Invalid schedule:', scheduleError);
+            showStatus(scheduleError, true);
             return;
         }
 
         // Cập nhật trạng thái ngay lập tức trên UI
-        const newRunningState = !isCurrentlyRunning;
-        updateButtonUI(newRunningState);
-        if (!tabSettings[activeTabId]) tabSettings[activeTabId] = {};
-        tabSettings[activeTabId].isAutoRunning = newRunningState;
-        tabSettings[activeTabId].interval = interval;
-        tabSettings[activeTabId].pageLoadTimeout = pageLoadTimeout;
-        chrome.storage.local.set({ tabSettings });
+        updateButtonUI(!isCurrentlyRunning);
 
         console.log(`[POPUP] Sending message to background: ${action}`);
         
-        // Gửi lệnh tới background script
+        // Gửi lệnh tới background script (background lưu trạng thái isAutoRunning vào monitor)
         chrome.runtime.sendMessage({
             action: action,
             tabId: activeTabId,
-            interval: interval
+            patch: { schedule, pageLoadTimeout }
         }, (response) => {
-            if (chrome.runtime.lastError) {
-                console.error('[POPUP] Runtime error:', chrome.runtime.lastError);
-                showStatus(`Lỗi: ${chrome.runtime.lastError.message}`, true);
+            if (chrome.runtime.lastError || !response || response.error) {
+                const message = chrome.runtime.lastError?.message || response?.error || 'không có phản hồi';
+                console.error('[POPUP] Runtime error:', message);
+                showStatus(`Lỗi: ${message}`, true);
                 // Rollback UI
                 updateButtonUI(isCurrentlyRunning);
-                tabSettings[activeTabId].isAutoRunning = isCurrentlyRunning;
-                chrome.storage.local.set({ tabSettings });
             } else {
                 console.log('[POPUP] Response from background:', response);
                 if (response.status === 'started') {
+                    monitorId = response.monitorId;
                     showStatus('Đã bắt đầu auto!');
-                    startCountdown(interval);
+                    startCountdown(monitorId);
                 } else {
                     showStatus('Đã dừng auto.');
                     stopCountdown();